@@ -0,0 +1,145 @@
+// asset manager. Every model, texture and environment map the game uses is
+// loaded through here, and each file is only downloaded and parsed once: later
+// requests share the first load, and models are handed out as clones that share
+// the geometry and materials of the loaded copy. Progress and failures are
+// reported as events so the loading screen can show them.
+
+import { TextureLoader, PMREMGenerator } from 'three';
+import { FBXLoader } from 'FBXLoader';
+import { RGBELoader } from 'RGBELoader';
+import { RoomEnvironment } from 'RoomEnvironment';
+import { clone } from 'SkeletonUtils';
+
+// creates an asset manager. renderer is used to prepare environment maps.
+//
+// events, each passed an object with the details:
+//   progress  a file finished loading or failed, with how many files have
+//             finished so far as loaded and how many were asked for as total
+//   error     a file couldn't be loaded, with its path and the error
+export function createAssetManager(renderer) {
+  let listeners = new Map();
+
+  // promises for every file asked for, keyed by path, and the files that have
+  // finished loading
+  let requests = new Map();
+  let loaded = new Map();
+  let finished = 0;
+
+  // environment maps made so far, keyed by the path of their HDR file
+  let environments = new Map();
+
+  // geometries, materials and textures belonging to loaded assets. Clones use
+  // these too, so they must outlive any one game.
+  let shared = new Set();
+
+  function emit(type, event = {}) {
+    event.type = type;
+    for (let listener of listeners.get(type) || []) listener(event);
+  }
+
+  // remembers the gpu resources in a loaded asset as shared
+  function share(asset) {
+    if (asset.isTexture) {
+      shared.add(asset);
+      return;
+    }
+
+    asset.traverse((child) => {
+      if (child.geometry != undefined) shared.add(child.geometry);
+      for (let material of [].concat(child.material || [])) {
+        shared.add(material);
+        for (let value of Object.values(material)) {
+          if (value != null && value.isTexture) shared.add(value);
+        }
+      }
+    });
+  }
+
+  // loads a file with the given loader, unless it has already been asked for.
+  // Failed files are forgotten so they can be tried again later.
+  function load(path, loader) {
+    if (requests.has(path)) return requests.get(path);
+
+    let request = loader.loadAsync(path).then((asset) => {
+      share(asset);
+      loaded.set(path, asset);
+      return asset;
+    }, (error) => {
+      requests.delete(path);
+      emit("error", { path, error });
+      throw new Error("Could not load " + path);
+    }).finally(() => {
+      finished++;
+      emit("progress", { path, loaded: finished, total: finished + pending() });
+    });
+
+    requests.set(path, request);
+    emit("progress", { path, loaded: finished, total: finished + pending() });
+    return request;
+  }
+
+  // returns how many files are still loading
+  function pending() {
+    let count = 0;
+    for (let path of requests.keys()) if (!loaded.has(path)) count++;
+    return count;
+  }
+
+  return {
+    // subscribes to an event, returning a function that unsubscribes again
+    on(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, []);
+      listeners.get(type).push(listener);
+      return () => {
+        listeners.set(type, listeners.get(type).filter((other) => other != listener));
+      };
+    },
+
+    // loads every model in a list of FBX files. Resolves once they have all
+    // finished, with the paths of any that couldn't be loaded.
+    async loadModels(paths) {
+      let unique = [...new Set(paths)];
+      let results = await Promise.allSettled(unique.map((path) => load(path, new FBXLoader())));
+      return unique.filter((path, index) => results[index].status == "rejected");
+    },
+
+    // returns a new copy of a model loaded with loadModels, or null if it
+    // hasn't been loaded. Copies share the loaded model's geometry and materials.
+    cloneModel(path) {
+      let model = loaded.get(path);
+      return model == undefined ? null : clone(model);
+    },
+
+    // loads a texture. Every request for the same file gets the same texture.
+    texture(path) {
+      return load(path, new TextureLoader());
+    },
+
+    // loads an HDR file and turns it into an environment map for reflections.
+    // If the file can't be loaded a plain studio environment is made instead,
+    // so the scene is still lit the same way, just without the scenery.
+    environment(path) {
+      if (environments.has(path)) return environments.get(path);
+
+      let pmrem = new PMREMGenerator(renderer);
+      let environment = load(path, new RGBELoader()).then((hdr) => {
+        return pmrem.fromEquirectangular(hdr).texture;
+      }, () => {
+        return pmrem.fromScene(new RoomEnvironment()).texture;
+      }).then((texture) => {
+        pmrem.dispose();
+        shared.add(texture);
+        return texture;
+      });
+
+      environments.set(path, environment);
+      return environment;
+    },
+
+    // returns whether a geometry, material or texture belongs to a loaded
+    // asset, in which case it mustn't be freed when a game is torn down
+    isShared(resource) {
+      return shared.has(resource);
+    },
+  };
+}
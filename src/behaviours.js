@@ -0,0 +1,191 @@
+// predator behaviour system. Each species is described by a profile, which is
+// plain data, and the profile names one of the behaviours below that decides
+// where the animal wants to go each time it moves. Adding a new predator only
+// needs a new profile entry (and a model for the view to load).
+
+import {
+  hexDistance,
+  hexNeighbour,
+  hexRange,
+  directionBetween,
+  directionToAngle,
+} from './hexgrid.js';
+import { getTile, isPassable } from './board.js';
+import { propRules } from './terrain.js';
+import { findPath } from './pathfinding.js';
+import { movementOptions, stepTurns } from './movement.js';
+import { FOX, BEAR, getEntities, getRabbit } from './gamestate.js';
+import { canSee } from './visibility.js';
+
+// profiles for every predator species, keyed by entity type.
+//
+// How many of each species there are, how often they move and how much it
+// hurts to be caught by them depend on the difficulty, and are set in rules.js.
+//
+//   model, scale     model the view loads for the animal and how much to shrink it
+//   sightRadius      how many tiles away the animal can spot the rabbit, if it
+//                    has a clear line of sight
+//   behaviour        name of the behaviour used to choose where to go
+//   speed            turns worth of hops per move, chargeSpeed is used while
+//                    charging. Hops take more than one turn when climbing.
+export const PREDATOR_PROFILES = {
+  [FOX]: {
+    model: 'assets/01foxFinal.fbx',
+    scale: 0.017,
+    sightRadius: 7,
+    behaviour: "pack",
+    speed: 1,
+    // how far a fox will roam when it has no idea where the rabbit is
+    wanderRadius: 5,
+  },
+  [BEAR]: {
+    model: 'assets/08bearFinal.fbx',
+    scale: 0.015,
+    sightRadius: 10,
+    behaviour: "territorial",
+    speed: 1,
+    chargeSpeed: 2,
+    // radius around the bear's spawn tile that it guards
+    territoryRadius: 6,
+  },
+};
+
+// returns the profile for an entity type, or undefined if it isn't a predator
+export function getProfile(type) {
+  return PREDATOR_PROFILES[type];
+}
+
+// returns the profile a predator acts on: its species' profile, with any
+// behaviour settings the animal was given by a hand made level on top
+export function predatorProfile(predator) {
+  return { ...getProfile(predator.type), ...predator.behaviour };
+}
+
+// returns whether a predator can currently see the rabbit, which has to be
+// close enough and not hidden behind trees, rocks or high ground. A rabbit
+// hiding in tall grass can only be seen from right next to it.
+export function canSeeRabbit(state, predator, profile) {
+  let rabbit = getRabbit(state);
+  let hiding = propRules(getTile(state.board, rabbit.q, rabbit.r)).hides;
+  if (hiding && hexDistance(predator, rabbit) > 1) return false;
+
+  return canSee(state.board, predator, rabbit, profile.sightRadius);
+}
+
+// behaviours take the game state, the predator, its profile and a random number
+// generator, and return the tile the predator wants to reach along with how many
+// tiles it may move this turn, or null to stay put.
+const BEHAVIOURS = {
+  // head straight for the rabbit wherever it is
+  chase(state, predator, profile) {
+    return { goal: getRabbit(state), speed: profile.speed };
+  },
+
+  // foxes share sightings with the rest of the pack. Once the rabbit has been
+  // spotted, foxes that are far away spread out to close in from different
+  // sides, and foxes that are close go straight for it.
+  pack(state, predator, profile, random) {
+    let rabbit = getRabbit(state);
+    let pack = getEntities(state, predator.type);
+    let spotted = pack.some((member) => canSeeRabbit(state, member, predatorProfile(member)));
+
+    if (spotted) {
+      for (let member of pack) member.lastSeen = { q: rabbit.q, r: rabbit.r };
+    }
+
+    let target = predator.lastSeen;
+    if (target == undefined) return wander(state, predator, predator, profile.wanderRadius, profile.speed, random);
+
+    // reached the last sighting without seeing the rabbit again
+    if (!spotted && hexDistance(predator, target) == 0) {
+      predator.lastSeen = undefined;
+      return wander(state, predator, predator, profile.wanderRadius, profile.speed, random);
+    }
+
+    if (!spotted || hexDistance(predator, target) <= 2) return { goal: target, speed: profile.speed };
+
+    // each fox takes a different side of the rabbit, two tiles out
+    let index = pack.findIndex((member) => member.id == predator.id);
+    let direction = Math.floor(index * 6 / pack.length);
+    let flank = hexNeighbour(target.q, target.r, direction);
+    flank = hexNeighbour(flank.q, flank.r, direction);
+
+    if (!isPassable(state.board, flank.q, flank.r)) return { goal: target, speed: profile.speed };
+    return { goal: flank, speed: profile.speed };
+  },
+
+  // bears guard the area around where they spawned. They ignore the rabbit
+  // until it enters their territory, then charge at it, and head home once it
+  // leaves.
+  territorial(state, predator, profile, random) {
+    let rabbit = getRabbit(state);
+    if (predator.home == undefined) predator.home = { q: predator.q, r: predator.r };
+
+    let home = predator.home;
+    let intruding = hexDistance(home, rabbit) <= profile.territoryRadius;
+    if (intruding && canSeeRabbit(state, predator, profile)) {
+      return { goal: rabbit, speed: profile.chargeSpeed };
+    }
+
+    if (hexDistance(home, predator) > profile.territoryRadius) {
+      return { goal: home, speed: profile.speed };
+    }
+    return wander(state, predator, home, profile.territoryRadius, profile.speed, random);
+  },
+};
+
+// names of every behaviour a profile can use
+export const BEHAVIOUR_NAMES = Object.keys(BEHAVIOURS);
+
+// picks a random tile within radius of center to amble towards, keeping the
+// same destination until it is reached
+function wander(state, predator, center, radius, speed, random) {
+  let goal = predator.wanderGoal;
+  if (goal == undefined || hexDistance(predator, goal) == 0 || hexDistance(center, goal) > radius) {
+    let options = hexRange(center, radius).filter((tile) => isPassable(state.board, tile.q, tile.r));
+    if (options.length == 0) return null;
+
+    goal = options[Math.floor(random() * options.length)];
+    predator.wanderGoal = goal;
+  }
+  return { goal, speed };
+}
+
+// decides where a predator moves this turn, keeping to the same movement rules
+// as the rabbit. Returns the tile it ends up on and the angle it faces, or null
+// if it stays where it is.
+export function planPredatorMove(state, predator, rules, random = Math.random) {
+  let profile = predatorProfile(predator);
+  let plan = BEHAVIOURS[profile.behaviour](state, predator, profile, random);
+  if (plan == null) return null;
+
+  let path = findPath(state.board, predator, plan.goal, { ...movementOptions(rules), allowPartial: true });
+
+  if (path == null || path.length < 2) {
+    // the wander goal can't be reached, so pick another next time
+    predator.wanderGoal = undefined;
+    return null;
+  }
+
+  // hops that climb use up more of the predator's speed, though it can always
+  // make at least one hop so it never gets stuck at the bottom of a slope
+  let turns = hopTurns(state.board, path, 0, rules);
+  let steps = 1;
+  while (steps < path.length - 1) {
+    let cost = hopTurns(state.board, path, steps, rules);
+    if (turns + cost > plan.speed) break;
+    turns += cost;
+    steps++;
+  }
+
+  let next = path[steps];
+  let previous = path[steps - 1];
+  return { q: next.q, r: next.r, angle: directionToAngle(directionBetween(previous, next)) };
+}
+
+// returns how many turns the hop from path[index] to the tile after it takes
+function hopTurns(board, path, index, rules) {
+  let from = path[index];
+  let to = path[index + 1];
+  return stepTurns(getTile(board, from.q, from.r), getTile(board, to.q, to.r), rules);
+}
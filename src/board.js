@@ -0,0 +1,101 @@
+// pure data model of the hex map. A board holds every tile on the map keyed by
+// its axial coordinate key, along with the terrain information the game rules
+// need and the ids of the entities standing on it, so every lookup is a single
+// map access. Nothing in here touches three.js or the DOM, so boards can be
+// built and inspected from node for testing and headless simulation.
+
+import { hexKey } from './hexgrid.js';
+
+// creates an empty board
+export function createBoard() {
+  return {
+    tiles: new Map(),
+  };
+}
+
+// adds a tile to the board and returns it. height is in world units, terrain is
+// the name of the terrain type used for texturing, and water tiles can never be
+// entered.
+export function addTile(board, q, r, height, terrain, water = false) {
+  let tile = {
+    q,
+    r,
+    height,
+    terrain,
+    water,
+    // the biome the tile belongs to, null along and under the water, and how
+    // wet its ground is from 0 to 1. Both are set by the landscape generator.
+    biome: null,
+    moisture: 0,
+    // whether the water on the tile is a river running down to the sea
+    river: false,
+    // name of the prop (tree, rock, etc) placed on the tile, if any, and the
+    // angle in radians it is turned to
+    prop: null,
+    propRotation: 0,
+    // whether animals are prevented from entering the tile
+    blocked: water,
+    // ids of the entities currently standing on the tile
+    occupants: [],
+  };
+  board.tiles.set(hexKey(q, r), tile);
+  return tile;
+}
+
+// returns the tile at the given coordinates, or undefined if it is off the map
+export function getTile(board, q, r) {
+  return board.tiles.get(hexKey(q, r));
+}
+
+// returns whether the given coordinates are on the map
+export function hasTile(board, q, r) {
+  return board.tiles.has(hexKey(q, r));
+}
+
+// marks a tile as blocked or unblocked
+export function setBlocked(board, q, r, blocked) {
+  let tile = getTile(board, q, r);
+  if (tile != undefined) tile.blocked = blocked;
+}
+
+// places a prop on a tile. blocking props (trees and rocks) also block the tile.
+export function setProp(board, q, r, prop, blocking) {
+  let tile = getTile(board, q, r);
+  if (tile == undefined) return;
+
+  tile.prop = prop;
+  if (blocking) tile.blocked = true;
+}
+
+// removes the prop from a tile, unblocking it unless it is water
+export function clearProp(board, q, r) {
+  let tile = getTile(board, q, r);
+  if (tile == undefined) return;
+
+  tile.prop = null;
+  tile.blocked = tile.water;
+}
+
+// returns whether an animal could stand on the given coordinates
+export function isPassable(board, q, r) {
+  let tile = getTile(board, q, r);
+  return tile != undefined && !tile.blocked;
+}
+
+// records that an entity is standing on a tile
+export function addOccupant(board, q, r, id) {
+  let tile = getTile(board, q, r);
+  if (tile != undefined) tile.occupants.push(id);
+}
+
+// records that an entity has left a tile
+export function removeOccupant(board, q, r, id) {
+  let tile = getTile(board, q, r);
+  if (tile != undefined) tile.occupants = tile.occupants.filter((other) => other != id);
+}
+
+// returns the ids of the entities standing on a tile
+export function getOccupants(board, q, r) {
+  let tile = getTile(board, q, r);
+  return tile == undefined ? [] : tile.occupants;
+}
@@ -0,0 +1,160 @@
+// camera modes. The camera rig moves the camera and OrbitControls between a
+// few ways of viewing the game, tweening between them so the view never jumps:
+//
+//   follow   third person view from behind the rabbit, turning as it turns
+//   topDown  tactical view looking straight down, which can be panned and zoomed
+//   orbit    free orbit around the rabbit using the mouse
+//
+// Every mode is aimed at a focus, which is the rabbit's position in the scene
+// and the angle it is facing, using the same convention as the hex grid.
+
+import { Vector3 } from 'three';
+import { TWEEN } from 'Tween';
+
+// the camera modes, in the order the camera key cycles through them
+export const CAMERA_MODES = ["follow", "topDown", "orbit"];
+
+// milliseconds taken to move between modes
+const TRANSITION_TIME = 800;
+
+// how far behind and above the rabbit the follow camera sits, and how quickly
+// it catches up when the rabbit moves
+const FOLLOW_DISTANCE = 10;
+const FOLLOW_HEIGHT = 8;
+const FOLLOW_SMOOTHING = 4;
+
+// height of the top down camera above the rabbit
+const TOP_DOWN_HEIGHT = 40;
+
+// position of the orbit camera relative to the rabbit
+const ORBIT_OFFSET = new Vector3(-10, 20, 18);
+
+// the camera position and target that frame the start screen
+const OVERVIEW_POSITION = new Vector3(-17, 35, 31);
+const OVERVIEW_TARGET = new Vector3(0, 0, 0);
+
+// returns where the camera should be and what it should look at in a mode
+function poseFor(mode, focus) {
+  let target = focus.position.clone();
+
+  if (mode == "follow") {
+    // the rabbit faces (cos, -sin) in world x and z, so behind it is the opposite
+    let radians = focus.angle * Math.PI / 180;
+    let position = new Vector3(
+      target.x - Math.cos(radians) * FOLLOW_DISTANCE,
+      target.y + FOLLOW_HEIGHT,
+      target.z + Math.sin(radians) * FOLLOW_DISTANCE
+    );
+    return { position, target };
+  }
+
+  if (mode == "topDown") {
+    // offset very slightly so the controls can still tell which way is up
+    return { position: new Vector3(target.x, target.y + TOP_DOWN_HEIGHT, target.z + 0.01), target };
+  }
+
+  return { position: target.clone().add(ORBIT_OFFSET), target };
+}
+
+// creates a camera rig controlling the given camera and OrbitControls. The rig
+// starts out showing the overview used by the start screen.
+export function createCameraRig(camera, controls) {
+  let mode = CAMERA_MODES[0];
+  let overview = true;
+  let transition = null;
+
+  // lets the mouse move the camera only as far as the current mode allows
+  function configureControls() {
+    controls.autoRotate = overview;
+    controls.enabled = overview || mode != "follow";
+    controls.enableRotate = overview || mode == "orbit";
+  }
+
+  // tweens the camera and the point it looks at to a new pose
+  function transitionTo(pose) {
+    if (transition != null) transition.stop();
+
+    let from = { position: camera.position.clone(), target: controls.target.clone() };
+    let progress = { t: 0 };
+    transition = new TWEEN.Tween(progress)
+        .to({ t: 1 }, TRANSITION_TIME)
+        .easing(TWEEN.Easing.Quadratic.InOut)
+        .onUpdate(() => {
+          camera.position.lerpVectors(from.position, pose.position, progress.t);
+          controls.target.lerpVectors(from.target, pose.target, progress.t);
+        })
+        .onComplete(() => {
+          transition = null;
+        })
+        .start();
+  }
+
+  return {
+    // returns the current mode
+    mode() {
+      return mode;
+    },
+
+    // switches to a mode, moving the camera to frame the focus. Without a
+    // focus the camera stays put until there is something to look at.
+    setMode(newMode, focus) {
+      mode = newMode;
+      overview = false;
+      configureControls();
+      if (focus != null) transitionTo(poseFor(mode, focus));
+    },
+
+    // switches to the next mode in CAMERA_MODES, returning its name
+    nextMode(focus) {
+      let index = CAMERA_MODES.indexOf(mode);
+      this.setMode(CAMERA_MODES[(index + 1) % CAMERA_MODES.length], focus);
+      return mode;
+    },
+
+    // moves the camera back to frame the focus in the current mode
+    recentre(focus) {
+      if (focus != null && !overview) transitionTo(poseFor(mode, focus));
+    },
+
+    // moves the camera to look at a point on the map, keeping its angle. The
+    // follow camera can't look anywhere but the rabbit, so it switches to the
+    // top down view first. Returns the mode the camera ends up in.
+    panTo(point) {
+      if (overview) return mode;
+
+      if (mode == "follow") {
+        mode = "topDown";
+        configureControls();
+        transitionTo(poseFor(mode, { position: point, angle: 0 }));
+        return mode;
+      }
+
+      let offset = camera.position.clone().sub(controls.target);
+      transitionTo({ position: point.clone().add(offset), target: point.clone() });
+      return mode;
+    },
+
+    // slowly circles the whole map, as on the start screen
+    overview() {
+      overview = true;
+      configureControls();
+      transitionTo({ position: OVERVIEW_POSITION.clone(), target: OVERVIEW_TARGET.clone() });
+    },
+
+    // forgets any transition in progress, for when every tween has been removed
+    cancelTransition() {
+      transition = null;
+    },
+
+    // keeps the follow camera behind the focus. Call this once a frame with
+    // the seconds since the last frame.
+    update(focus, delta) {
+      if (overview || mode != "follow" || focus == null || transition != null) return;
+
+      let pose = poseFor(mode, focus);
+      let amount = 1 - Math.exp(-delta * FOLLOW_SMOOTHING);
+      camera.position.lerp(pose.position, amount);
+      controls.target.lerp(pose.target, amount);
+    },
+  };
+}
@@ -0,0 +1,66 @@
+// the campaign. A short run of hand made levels, see levels.js, that unlock one
+// at a time: the first is always open, and finishing a level opens the next.
+// Which levels have been finished, and the best score on each, is kept in
+// local storage.
+
+// every level in the campaign, in the order they are played. path is the
+// level's json file.
+export const CAMPAIGN = [
+  { id: "first-hops", path: 'levels/first-hops.json' },
+  { id: "up-and-over", path: 'levels/up-and-over.json' },
+  { id: "bear-country", path: 'levels/bear-country.json' },
+];
+
+// local storage key the campaign progress is stored under
+const PROGRESS_KEY = "rabbitRescue.campaign";
+
+// returns the storage to use, local storage unless another is passed in
+function getStorage(storage) {
+  return storage || globalThis.localStorage;
+}
+
+// returns the best score on every finished level, keyed by level id. Damaged
+// progress is treated as none.
+export function readProgress(storage) {
+  try {
+    let progress = JSON.parse(getStorage(storage).getItem(PROGRESS_KEY));
+    return progress != null && typeof progress == "object" ? progress : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// records that a level has been finished with the given score, keeping the
+// best score if it had been finished before
+export function completeLevel(id, score, storage) {
+  let progress = readProgress(storage);
+  if (progress[id] == undefined || score > progress[id]) progress[id] = score;
+  getStorage(storage).setItem(PROGRESS_KEY, JSON.stringify(progress));
+}
+
+// returns the campaign level after the given one, or undefined if it is the last
+export function nextLevel(id) {
+  let index = CAMPAIGN.findIndex((level) => level.id == id);
+  return index == -1 ? undefined : CAMPAIGN[index + 1];
+}
+
+// describes every level in the campaign for the start screen. Each entry has
+// the level's id and path, whether it can be played yet, and the best score on
+// it, or null if it hasn't been finished.
+export function listCampaign(storage) {
+  let progress = readProgress(storage);
+  return CAMPAIGN.map((level, index) => {
+    let best = progress[level.id];
+    return {
+      ...level,
+      unlocked: index == 0 || progress[CAMPAIGN[index - 1].id] != undefined,
+      best: best == undefined ? null : best,
+    };
+  });
+}
+
+// returns whether a campaign level can be played yet
+export function isUnlocked(id, storage) {
+  let level = listCampaign(storage).find((level) => level.id == id);
+  return level != undefined && level.unlocked;
+}
@@ -0,0 +1,129 @@
+// pure data model of a game in progress. The game state owns the board, every
+// animal on it and the player's lives, score and turn count. The scene in
+// index.js is only a view of this state and syncs itself from it, so games can
+// be stepped and inspected without a renderer.
+
+import { addOccupant, removeOccupant, getOccupants } from './board.js';
+
+// types of entity that can be placed on the board
+export const RABBIT = "rabbit";
+export const BABY = "baby";
+export const FOX = "fox";
+export const BEAR = "bear";
+export const BURROW = "burrow";
+
+// results a game can end with
+export const IN_PROGRESS = 0;
+export const WON = 1;
+export const LOST = -1;
+
+// creates the state for a new game on the given board
+export function createGameState(board, { lives, maxRewardedTurns }) {
+  return {
+    board,
+    entities: [],
+    nextEntityId: 1,
+    lives,
+    maxLives: lives,
+    score: 0,
+    turn: 0,
+    babiesLeft: 0,
+    maxRewardedTurns,
+    result: IN_PROGRESS,
+    // keys of the tiles whose pickups have been used up
+    usedPickups: [],
+  };
+}
+
+// adds an entity of the given type to the board. angle is the direction the
+// entity faces in degrees, using the same convention as the hex grid.
+export function addEntity(state, type, q, r, angle = 0) {
+  let entity = { id: state.nextEntityId++, type, q, r, angle };
+  state.entities.push(entity);
+  addOccupant(state.board, q, r, entity.id);
+  if (type == BABY) state.babiesLeft++;
+  return entity;
+}
+
+// removes an entity from the board
+export function removeEntity(state, entity) {
+  removeOccupant(state.board, entity.q, entity.r, entity.id);
+  state.entities = state.entities.filter((other) => other.id != entity.id);
+}
+
+// puts a removed entity back on the board with its original id, keeping the
+// entities in the order they were created
+export function restoreEntity(state, entity) {
+  let index = state.entities.findIndex((other) => other.id > entity.id);
+  if (index == -1) index = state.entities.length;
+  state.entities.splice(index, 0, entity);
+  addOccupant(state.board, entity.q, entity.r, entity.id);
+}
+
+// returns all entities of a given type
+export function getEntities(state, type) {
+  return state.entities.filter((entity) => entity.type == type);
+}
+
+// returns the entities standing on a tile, optionally only those of one type
+export function getEntitiesAt(state, q, r, type) {
+  let ids = getOccupants(state.board, q, r);
+  return state.entities.filter((entity) => ids.includes(entity.id) && (type == undefined || entity.type == type));
+}
+
+// returns the player's rabbit
+export function getRabbit(state) {
+  return state.entities.find((entity) => entity.type == RABBIT);
+}
+
+// moves an entity to a tile and turns it to face the given angle
+export function moveEntity(state, entity, q, r, angle) {
+  removeOccupant(state.board, entity.q, entity.r, entity.id);
+  entity.q = q;
+  entity.r = r;
+  addOccupant(state.board, q, r, entity.id);
+  if (angle != undefined) entity.angle = angle;
+}
+
+// removes a rescued baby and awards points for it
+export function rescueBaby(state, baby) {
+  removeEntity(state, baby);
+  state.babiesLeft--;
+  state.score += 10;
+}
+
+// awards points for surviving a turn, as long as the game hasn't dragged on
+export function rewardTurn(state) {
+  if (state.turn < state.maxRewardedTurns) state.score += 1;
+}
+
+// awards points for reaching the burrow, rewarding unused turns, and ends the game
+export function reachBurrow(state) {
+  if (state.turn < state.maxRewardedTurns) {
+    state.score += 2 * (state.maxRewardedTurns - state.turn);
+  }
+  state.result = WON;
+}
+
+// applies the damage and score penalty for being caught by a predator, ending
+// the game if the rabbit runs out of health
+export function catchRabbit(state, damage, penalty) {
+  hurtRabbit(state, damage);
+  state.score -= penalty;
+}
+
+// takes health from the rabbit, losing the game if it runs out
+export function hurtRabbit(state, damage) {
+  state.lives -= damage;
+  if (state.lives <= 0) state.result = LOST;
+}
+
+// uses up the pickup on a tile, changing the rabbit's health and score by the
+// given amounts. Health can't go above what the rabbit started with.
+export function usePickup(state, key, { health = 0, score = 0 }) {
+  // the list is replaced rather than changed so the history sees the change
+  state.usedPickups = [...state.usedPickups, key];
+  state.score += score;
+  if (health < 0) hurtRabbit(state, -health);
+  else state.lives = Math.min(state.maxLives, state.lives + health);
+}
@@ -0,0 +1,239 @@
+// level generation steps that run on the board once the terrain has been laid
+// out. These make sure every level can actually be completed: the spawn tile is
+// walkable, the burrow and every baby can be reached from it, and predators
+// start a fair distance away from the rabbit.
+//
+// Tiles only count as connected when animals can hop between them both ways,
+// so wherever the rabbit goes it can always get back again. maxClimb is the
+// highest an animal can hop up, as in the movement rules.
+
+import { hexKey, hexNeighbours, hexDistance, hexSpiral, hexRange } from './hexgrid.js';
+import { getTile, isPassable, setProp, clearProp } from './board.js';
+import { findPath } from './pathfinding.js';
+import { PROPS, biomeRules } from './terrain.js';
+import { shuffle } from './random.js';
+
+// returns whether animals can hop between two neighbouring tiles in both
+// directions
+function connected(a, b, maxClimb) {
+  return Math.abs(a.height - b.height) <= maxClimb;
+}
+
+// returns the keys of every tile that can be walked to from start, using a
+// flood fill over passable tiles
+export function findReachable(board, start, maxClimb = Infinity) {
+  let reachable = new Set();
+  if (!isPassable(board, start.q, start.r)) return reachable;
+
+  let frontier = [start];
+  reachable.add(hexKey(start.q, start.r));
+
+  while (frontier.length > 0) {
+    let current = frontier.pop();
+    for (let neighbour of hexNeighbours(current.q, current.r)) {
+      let key = hexKey(neighbour.q, neighbour.r);
+      if (reachable.has(key) || !isPassable(board, neighbour.q, neighbour.r)) continue;
+      if (!connected(getTile(board, current.q, current.r), getTile(board, neighbour.q, neighbour.r), maxClimb)) continue;
+
+      reachable.add(key);
+      frontier.push(neighbour);
+    }
+  }
+  return reachable;
+}
+
+// splits the passable tiles of the board into connected regions, returned as
+// arrays of tiles with the largest region first
+export function findRegions(board, maxClimb = Infinity) {
+  let seen = new Set();
+  let regions = [];
+
+  for (let [key, tile] of board.tiles) {
+    if (seen.has(key) || tile.blocked) continue;
+
+    let region = [];
+    for (let regionKey of findReachable(board, tile, maxClimb)) {
+      seen.add(regionKey);
+      region.push(board.tiles.get(regionKey));
+    }
+    regions.push(region);
+  }
+  return regions.sort((a, b) => b.length - a.length);
+}
+
+// clears the blocking props along the cheapest route between two tiles. The
+// route goes around water and cliffs, and prefers to cut through as few props
+// as possible. Returns whether a route was found.
+export function carvePath(board, from, to, maxClimb = Infinity) {
+  let path = findPath(board, from, to, {
+    passable: (tile) => !tile.water,
+    canMove: (previous, tile) => connected(previous, tile, maxClimb),
+    cost: (previous, tile) => tile.blocked ? 10 : 1,
+  });
+  if (path == null) return false;
+
+  for (let step of path) {
+    if (getTile(board, step.q, step.r).blocked) clearProp(board, step.q, step.r);
+  }
+  return true;
+}
+
+// finds the passable tile closest to the given tile, or undefined if there is
+// none within maxRadius
+function nearestPassable(board, tile, maxRadius) {
+  return hexSpiral(tile, maxRadius).find((other) => isPassable(board, other.q, other.r));
+}
+
+// returns whether there is a prop of the given kind fewer than spacing tiles
+// from a tile
+function crowded(board, tile, prop, spacing) {
+  return hexRange(tile, spacing - 1).some((other) => {
+    let neighbour = getTile(board, other.q, other.r);
+    return neighbour != undefined && neighbour.prop == prop;
+  });
+}
+
+// scatters props over the open tiles of the board using the chances, terrains
+// and spacing in the prop table, made more or less likely by the biome each
+// tile belongs to, and turns each one to a random angle. Tiles
+// are visited in a random order and a prop is only placed where it keeps its
+// distance from others of its kind, which spreads props out evenly rather than
+// in the rows a scan across the map would leave.
+export function decorateBoard(board, random, props = PROPS) {
+  let tiles = shuffle([...board.tiles.values()].filter((tile) => !tile.blocked), random);
+
+  for (let tile of tiles) {
+    // pick at most one prop, each with its own chance of being picked
+    let options = Object.keys(props).filter((prop) => props[prop].terrains.includes(tile.terrain));
+    let densities = biomeRules(tile).props || {};
+    let roll = random();
+    let prop = options.find((option) => {
+      roll -= props[option].chance * (option in densities ? densities[option] : 1);
+      return roll < 0;
+    });
+    if (prop == undefined) continue;
+
+    let { spacing = 0, blocking = false } = props[prop];
+    if (spacing > 1 && crowded(board, tile, prop, spacing)) continue;
+
+    setProp(board, tile.q, tile.r, prop, blocking);
+    tile.propRotation = random() * Math.PI * 2;
+  }
+}
+
+// decides where the rabbit, burrow, babies and predators start, changing the
+// board where needed so the level can be completed.
+//
+// options:
+//   spawn                 tile the rabbit should start on
+//   placementRadius       everything else is placed within this many tiles of the
+//                         spawn, except predators when too few tiles in it are
+//                         far enough away
+//   babies                number of babies to place
+//   predators             list of { type, count } for each predator species
+//   maxClimb              highest an animal can hop up onto a neighbouring tile
+//   minPredatorDistance   predators start at least this many tiles from the spawn
+//   minReachableFraction  carve paths until at least this fraction of the open
+//                         tiles on the map can be walked to from the spawn
+//
+// returns { spawn, burrow, babies, predators } where predators is a list of
+// { type, q, r } and the rest are tiles. Throws if there aren't enough reachable
+// tiles to place everything.
+export function generateLevel(board, random, options) {
+  let {
+    spawn,
+    placementRadius,
+    babies,
+    predators,
+    maxClimb = Infinity,
+    minPredatorDistance = 8,
+    minReachableFraction = 0.5,
+  } = options;
+
+  // make sure the rabbit starts on open ground
+  let spawnTile = getTile(board, spawn.q, spawn.r);
+  if (spawnTile != undefined && !spawnTile.water) clearProp(board, spawn.q, spawn.r);
+  if (!isPassable(board, spawn.q, spawn.r)) spawn = nearestPassable(board, spawn, placementRadius);
+  if (spawn == undefined) throw new Error("No open tile to spawn the rabbit on");
+
+  // join cut off regions to the spawn, largest first, until enough of the map
+  // can be explored. Regions surrounded by water are left alone.
+  let regions = findRegions(board, maxClimb);
+  let openTiles = regions.reduce((total, region) => total + region.length, 0);
+  let reachable = findReachable(board, spawn, maxClimb);
+  for (let region of regions) {
+    if (reachable.size >= minReachableFraction * openTiles) break;
+    if (reachable.has(hexKey(region[0].q, region[0].r))) continue;
+
+    if (carvePath(board, spawn, region[0], maxClimb)) reachable = findReachable(board, spawn, maxClimb);
+  }
+
+  let placement = { placementRadius, babies, predators, minPredatorDistance };
+  let starts = placeStarts(board, random, spawn, reachable, placement);
+
+  // paths can't be carved across water or cliffs, so the spawn can be left cut
+  // off on ground too small to hold everything. The rabbit then starts on the
+  // tile of the largest region closest to where it should have.
+  if (starts == null) {
+    let largest = findRegions(board, maxClimb)[0] || [];
+    let closest = largest.reduce((best, tile) => {
+      return best == undefined || hexDistance(tile, spawn) < hexDistance(best, spawn) ? tile : best;
+    }, undefined);
+
+    if (closest != undefined) {
+      spawn = { q: closest.q, r: closest.r };
+      starts = placeStarts(board, random, spawn, findReachable(board, spawn, maxClimb), placement);
+    }
+  }
+  if (starts == null) throw new Error("Not enough reachable tiles to place the level");
+  return starts;
+}
+
+// places the burrow, babies and predators on distinct reachable tiles and
+// returns them as generateLevel does, or null if there aren't enough tiles
+function placeStarts(board, random, spawn, reachable, { placementRadius, babies, predators, minPredatorDistance }) {
+  // the burrow and babies are placed near the spawn
+  let candidates = [];
+  for (let key of reachable) {
+    let tile = board.tiles.get(key);
+    let distance = hexDistance(tile, spawn);
+    if (distance > 0 && distance <= placementRadius) candidates.push({ q: tile.q, r: tile.r });
+  }
+  shuffle(candidates, random);
+
+  // predators start far enough from the spawn, on tiles within the placement
+  // radius where there are enough of them, and otherwise on the nearest
+  // reachable tiles beyond it
+  let predatorTiles = candidates.filter((tile) => hexDistance(tile, spawn) >= minPredatorDistance);
+  let beyond = [];
+  for (let key of reachable) {
+    let tile = board.tiles.get(key);
+    let distance = hexDistance(tile, spawn);
+    if (distance > placementRadius && distance >= minPredatorDistance) beyond.push({ q: tile.q, r: tile.r });
+  }
+  beyond.sort((a, b) => hexDistance(a, spawn) - hexDistance(b, spawn));
+  predatorTiles = predatorTiles.concat(beyond);
+
+  let predatorCount = predators.reduce((total, predator) => total + predator.count, 0);
+  if (predatorTiles.length < predatorCount) return null;
+
+  let predatorPlacements = [];
+  for (let { type, count } of predators) {
+    for (let i = 0; i < count; i++) {
+      let tile = predatorTiles.shift();
+      predatorPlacements.push({ type, q: tile.q, r: tile.r });
+    }
+  }
+
+  // the burrow and babies use whatever is left
+  let taken = new Set(predatorPlacements.map((tile) => hexKey(tile.q, tile.r)));
+  let remaining = candidates.filter((tile) => !taken.has(hexKey(tile.q, tile.r)));
+  if (remaining.length < 1 + babies) return null;
+
+  return {
+    spawn: { q: spawn.q, r: spawn.r },
+    burrow: remaining[0],
+    babies: remaining.slice(1, 1 + babies),
+    predators: predatorPlacements,
+  };
+}
@@ -0,0 +1,186 @@
+// axial/cube hex coordinate helpers. Tiles are addressed by axial (q, r)
+// coordinates, with the implicit cube coordinate s = -q - r. Rows (r) run along
+// the world z axis and each row is shifted half a tile relative to the last,
+// matching the pointy topped hexes created by hexGeometry in index.js.
+//
+// this module has no three.js or DOM dependencies so that it can be imported
+// anywhere, including from node.
+
+// spacing between tile centres in world units. These are slightly larger than
+// the exact sqrt(3) and 1.5 spacing of a unit hex so tiles have a small gap.
+export const HEX_WIDTH = 1.77;
+export const HEX_HEIGHT = 1.535;
+
+// the six neighbour offsets, indexed by direction. Direction d faces the angle
+// d * 60 degrees, which is the same convention used by the rabbit's angleMetric:
+// 0 is +x, and angles increase counterclockwise when looking down on the map.
+export const DIRECTIONS = [
+  { q: 1, r: 0 },   // 0 degrees
+  { q: 1, r: -1 },  // 60 degrees
+  { q: 0, r: -1 },  // 120 degrees
+  { q: -1, r: 0 },  // 180 degrees
+  { q: -1, r: 1 },  // 240 degrees
+  { q: 0, r: 1 },   // 300 degrees
+];
+
+// returns n modulo m, which unlike % is never negative
+export function mod(n, m) {
+  return ((n % m) + m) % m;
+}
+
+// returns a string key that uniquely identifies a tile. Unlike the old packed
+// integer scheme this has no limit on map size.
+export function hexKey(q, r) {
+  return q + "," + r;
+}
+
+// converts a key produced by hexKey back into axial coordinates
+export function parseHexKey(key) {
+  let [q, r] = key.split(",").map(Number);
+  return { q, r };
+}
+
+// converts an angle in degrees (a multiple of 60) to a direction index
+export function angleToDirection(angle) {
+  return mod(Math.round(angle / 60), 6);
+}
+
+// converts a direction index to an angle in degrees between 0 and 300
+export function directionToAngle(direction) {
+  return mod(direction, 6) * 60;
+}
+
+// returns the tile one step away in the given direction
+export function hexNeighbour(q, r, direction) {
+  let offset = DIRECTIONS[mod(direction, 6)];
+  return { q: q + offset.q, r: r + offset.r };
+}
+
+// returns all six neighbours along with the direction and angle used to reach
+// them, in direction order
+export function hexNeighbours(q, r) {
+  let neighbours = [];
+  for (let direction = 0; direction < 6; direction++) {
+    let tile = hexNeighbour(q, r, direction);
+    tile.direction = direction;
+    tile.angle = directionToAngle(direction);
+    neighbours.push(tile);
+  }
+  return neighbours;
+}
+
+// returns the direction from a to b if they are adjacent, otherwise -1
+export function directionBetween(a, b) {
+  for (let direction = 0; direction < 6; direction++) {
+    let offset = DIRECTIONS[direction];
+    if (a.q + offset.q == b.q && a.r + offset.r == b.r) return direction;
+  }
+  return -1;
+}
+
+// number of steps between two tiles
+export function hexDistance(a, b) {
+  let dq = a.q - b.q;
+  let dr = a.r - b.r;
+  return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+}
+
+// rounds fractional axial coordinates to the nearest tile by rounding in cube
+// space and fixing up the component with the largest rounding error
+export function hexRound(q, r) {
+  let s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  let rs = Math.round(s);
+
+  let dq = Math.abs(rq - q);
+  let dr = Math.abs(rr - r);
+  let ds = Math.abs(rs - s);
+
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+
+  // avoid returning -0, which would produce a different key
+  return { q: rq + 0, r: rr + 0 };
+}
+
+// returns every tile on the straight line from a to b, including both ends
+export function hexLine(a, b) {
+  let steps = hexDistance(a, b);
+  let line = [];
+
+  // nudge the endpoints slightly so points exactly on an edge round consistently
+  let aq = a.q + 1e-6, ar = a.r + 1e-6;
+  let bq = b.q + 1e-6, br = b.r + 1e-6;
+
+  for (let i = 0; i <= steps; i++) {
+    let t = steps == 0 ? 0 : i / steps;
+    line.push(hexRound(aq + (bq - aq) * t, ar + (br - ar) * t));
+  }
+  return line;
+}
+
+// returns the tiles exactly radius steps from center, walking counterclockwise
+// starting from the tile in direction 4
+export function hexRing(center, radius) {
+  if (radius == 0) return [{ q: center.q, r: center.r }];
+
+  let ring = [];
+  let tile = {
+    q: center.q + DIRECTIONS[4].q * radius,
+    r: center.r + DIRECTIONS[4].r * radius,
+  };
+
+  for (let side = 0; side < 6; side++) {
+    for (let step = 0; step < radius; step++) {
+      ring.push(tile);
+      tile = hexNeighbour(tile.q, tile.r, side);
+    }
+  }
+  return ring;
+}
+
+// returns all tiles within radius of center ordered ring by ring outwards
+export function hexSpiral(center, radius) {
+  let tiles = [];
+  for (let k = 0; k <= radius; k++) {
+    tiles.push(...hexRing(center, k));
+  }
+  return tiles;
+}
+
+// returns all tiles within radius of center
+export function hexRange(center, radius) {
+  let tiles = [];
+  for (let dq = -radius; dq <= radius; dq++) {
+    let rMin = Math.max(-radius, -dq - radius);
+    let rMax = Math.min(radius, -dq + radius);
+    for (let dr = rMin; dr <= rMax; dr++) {
+      tiles.push({ q: center.q + dq, r: center.r + dr });
+    }
+  }
+  return tiles;
+}
+
+// converts a tile to the world x and z coordinates of its centre
+export function hexToWorld(q, r) {
+  return { x: (q + r * 0.5) * HEX_WIDTH, z: r * HEX_HEIGHT };
+}
+
+// converts world x and z coordinates to the tile that contains them
+export function worldToHex(x, z) {
+  let r = z / HEX_HEIGHT;
+  let q = x / HEX_WIDTH - r * 0.5;
+  return hexRound(q, r);
+}
+
+// converts the old offset (tileX, tileY) coordinates, where odd rows are shifted
+// right above the x axis and left below it, to axial coordinates
+export function offsetToAxial(x, y) {
+  return { q: x - Math.trunc(y / 2), r: y };
+}
+
+// converts axial coordinates back to offset coordinates
+export function axialToOffset(q, r) {
+  return { x: q + Math.trunc(r / 2), y: r };
+}
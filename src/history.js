@@ -0,0 +1,203 @@
+// turn history. Every action played through the history is recorded together
+// with the changes it made to the game state, so actions can be undone, and the
+// list of actions together with the map seed makes a compact replay of a game
+// that plays out exactly the same way when fed back through a turn engine.
+
+import { angleToDirection, directionToAngle } from './hexgrid.js';
+import { IN_PROGRESS, moveEntity, removeEntity, restoreEntity } from './gamestate.js';
+import { createRules } from './rules.js';
+import { validateLevel } from './levels.js';
+
+// bumped whenever the replay format or the rules change in a way that would
+// make old replays play out differently
+export const REPLAY_VERSION = 6;
+
+// the game state fields, besides entities, that actions can change
+const STATE_FIELDS = ["lives", "score", "turn", "babiesLeft", "result", "usedPickups"];
+
+// single character codes for each action, used to keep replay files small.
+// Steps in each of the six directions use the direction's number. Undos are
+// recorded too, so a replay ends with the same score as the game it came from.
+const ACTION_CODES = {
+  j: { type: "jump" },
+  l: { type: "rotate", delta: 60 },
+  r: { type: "rotate", delta: -60 },
+  u: { type: "undo" },
+};
+for (let direction = 0; direction < 6; direction++) {
+  ACTION_CODES[direction] = { type: "step", angle: directionToAngle(direction) };
+}
+
+// converts an action to its replay code
+export function encodeAction(action) {
+  if (action.type == "jump") return "j";
+  if (action.type == "rotate") return action.delta > 0 ? "l" : "r";
+  if (action.type == "step") return String(angleToDirection(action.angle));
+  if (action.type == "undo") return "u";
+  throw new Error("Unknown action " + action.type);
+}
+
+// converts a replay code back to an action
+export function decodeAction(code) {
+  if (ACTION_CODES[code] == undefined) throw new Error("Unknown action code " + code);
+  return { ...ACTION_CODES[code] };
+}
+
+// copies everything an action could change
+function snapshot(state, random) {
+  let fields = {};
+  for (let field of STATE_FIELDS) fields[field] = state[field];
+
+  let entities = new Map();
+  for (let entity of state.entities) entities.set(entity.id, structuredClone(entity));
+
+  return { fields, entities, random: random.getState() };
+}
+
+// works out what changed between two snapshots. Entities that were added have
+// no before, and entities that were removed have no after.
+function diffSnapshots(before, after) {
+  let fields = {};
+  for (let field of STATE_FIELDS) {
+    if (before.fields[field] != after.fields[field]) {
+      fields[field] = [before.fields[field], after.fields[field]];
+    }
+  }
+
+  let entities = [];
+  let ids = new Set([...before.entities.keys(), ...after.entities.keys()]);
+  for (let id of ids) {
+    let was = before.entities.get(id) || null;
+    let is = after.entities.get(id) || null;
+    if (JSON.stringify(was) != JSON.stringify(is)) entities.push({ id, before: was, after: is });
+  }
+
+  return { fields, entities, random: [before.random, after.random] };
+}
+
+// returns whether a diff changed anything
+function isEmpty(diff) {
+  return Object.keys(diff.fields).length == 0 && diff.entities.length == 0;
+}
+
+// creates a history that plays actions through the given turn engine. random
+// must be the same generator the engine was created with, so that undoing also
+// rewinds the predators' decisions. previousActions are actions that were
+// already played before the history was created, such as before a saved game
+// was resumed. They are part of replays but can't be undone.
+export function createHistory(engine, random, previousActions = []) {
+  let state = engine.state;
+  let entries = [];
+  // every action that had an effect and every undo, in the order they happened
+  let played = [];
+
+  return {
+    // performs an action and records it, returning the diff of what changed or
+    // null if the action had no effect
+    act(action) {
+      let before = snapshot(state, random);
+      engine.act(action);
+
+      let diff = diffSnapshots(before, snapshot(state, random));
+      if (isEmpty(diff)) return null;
+
+      entries.push({ action, diff });
+      played.push(action);
+      return diff;
+    },
+
+    // plays an action from a replay or saved game, where undos are actions too
+    play(action, penalty = 0) {
+      if (action.type == "undo") return this.undo(penalty);
+      return this.act(action);
+    },
+
+    // returns whether there is an action that can be undone
+    canUndo() {
+      return entries.length > 0 && state.result == IN_PROGRESS;
+    },
+
+    // reverts the last recorded action. Undoing a turn (rather than just a
+    // change of direction) costs penalty points. Returns whether anything was
+    // undone.
+    undo(penalty = 0) {
+      if (!this.canUndo()) return false;
+
+      let { action, diff } = entries.pop();
+
+      // the score is changed by how much the action changed it rather than
+      // set back, so penalties for earlier undos are kept
+      for (let field in diff.fields) {
+        let [before, after] = diff.fields[field];
+        if (field == "score") state.score -= after - before;
+        else state[field] = before;
+      }
+
+      for (let { id, before, after } of diff.entities) {
+        let entity = state.entities.find((other) => other.id == id);
+        if (before == null) {
+          removeEntity(state, entity);
+        } else if (after == null) {
+          restoreEntity(state, structuredClone(before));
+        } else {
+          moveEntity(state, entity, before.q, before.r);
+          for (let key of Object.keys(entity)) delete entity[key];
+          Object.assign(entity, structuredClone(before));
+        }
+      }
+
+      random.setState(diff.random[0]);
+      if (action.type != "rotate") state.score -= penalty;
+      played.push({ type: "undo" });
+      return true;
+    },
+
+    // returns every action taken this game, including undos, oldest first
+    actions() {
+      return previousActions.concat(played);
+    },
+
+    // returns the recorded turns along with what each one changed
+    entries() {
+      return entries;
+    },
+  };
+}
+
+// serializes a game as a replay file, along with the rules it was played under
+// and the hand made level it was played on, if it wasn't a generated map
+export function exportReplay(seed, actions, rules, level = null) {
+  return JSON.stringify({
+    version: REPLAY_VERSION,
+    seed,
+    rules,
+    level,
+    actions: actions.map(encodeAction).join(""),
+  });
+}
+
+// reads a replay file, returning { seed, rules, level, actions }. Throws if the
+// file isn't a replay or was made by an incompatible version of the game.
+export function parseReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Replay file is not valid JSON");
+  }
+
+  if (replay == null || typeof replay.seed != "string" || typeof replay.actions != "string" ||
+      replay.rules == null || typeof replay.rules != "object") {
+    throw new Error("File is not a replay");
+  }
+  if (replay.version != REPLAY_VERSION) {
+    throw new Error("Replay was made with a different version of the game");
+  }
+
+  return {
+    seed: replay.seed,
+    rules: createRules(replay.rules.preset, replay.rules),
+    level: replay.level ? validateLevel(replay.level) : null,
+    actions: [...replay.actions].map(decodeAction),
+  };
+}
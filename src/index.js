@@ -11,29 +11,27 @@ import {
   DirectionalLight,
   RepeatWrapping,
   DoubleSide,
-  BoxGeometry,
   Mesh,
   PointLight,
   MeshPhysicalMaterial,
   PerspectiveCamera,
   Scene,
-  PMREMGenerator,
   PCFSoftShadowMap,
   Vector2,
   Vector3,
-  TextureLoader,
+  Group,
+  Raycaster,
   SphereGeometry,
   MeshStandardMaterial,
   MeshBasicMaterial,
   FloatType,
   ConeGeometry,
-  AmbientLight
+  AmbientLight,
+  InstancedMesh,
+  Matrix4
 } from 'three';
 
 import { OrbitControls } from 'OrbitControls';
-import { FBXLoader } from 'FBXLoader';
-import { RGBELoader } from 'RGBELoader';
-import { mergeBufferGeometries } from 'BufferGeometryUtils';
 import { Water } from 'Water';
 import { EffectComposer} from 'EffectComposer';
 import { RenderPass } from 'Render';
@@ -44,64 +42,194 @@ import { CSS2DRenderer, CSS2DObject } from 'CSS2D';
 
 import SimplexNoise from 'https://cdn.skypack.dev/simplex-noise';
 
+import {
+  hexKey,
+  parseHexKey,
+  hexNeighbours,
+  hexToWorld,
+  worldToHex,
+} from './hexgrid.js';
+import { createBoard, getTile, isPassable } from './board.js';
+import {
+  RABBIT,
+  BABY,
+  FOX,
+  BURROW,
+  IN_PROGRESS,
+  WON,
+  LOST,
+  createGameState,
+  addEntity,
+  getEntities,
+  getRabbit,
+} from './gamestate.js';
+import { getProfile, planPredatorMove } from './behaviours.js';
+import { createRandomStreams, copyRandom, randomSeed } from './random.js';
+import { generateLevel, decorateBoard } from './generator.js';
+import { createTurnEngine } from './turns.js';
+import { createHistory, exportReplay, parseReplay } from './history.js';
+import { planWalk, nextWalkActions, turnActions } from './walk.js';
+import { INPUT_ACTIONS, createInput, keyName } from './input.js';
+import { createCameraRig } from './camera.js';
+import { createMinimap } from './minimap.js';
+import { visibleTiles } from './visibility.js';
+import { TERRAIN_TYPES, PROPS, propRules } from './terrain.js';
+import { RIVER_DEPTH, generateLandscape } from './landscape.js';
+import { PREVIEW_LAYERS, drawPreview } from './preview.js';
+import { parseLevel, levelRules, buildLevel } from './levels.js';
+import { CAMPAIGN, listCampaign, completeLevel, nextLevel, isUnlocked } from './campaign.js';
+import { createAssetManager } from './assets.js';
+import {
+  serializeGame,
+  writeSave,
+  deleteSave,
+  listSaves,
+  applySave,
+  savedRules,
+  savedLevel,
+  savedActions,
+} from './saves.js';
+import {
+  createRules,
+  isCustom,
+  parseRules,
+  rulesFromParams,
+  rulesToParams,
+} from './rules.js';
+
 // Instantiate Relevant Items
-let scene, camera, controls, clock, stats, water;
-let effectComposer, renderer, labelRenderer, envmap, pmrem;
+let scene, camera, controls, cameraRig, clock, stats, water;
+let effectComposer, renderer, labelRenderer, envmap;
 let renderPass, bloomPass;
 let light, ambientLight;
 
-// Define World Settings
-// we can control max height to make things more flat or not.
-const MAX_HEIGHT = 10;
-
-// map dimensions
-const LENGTH = 45;
-const MAX_DISTANCE_THRESHOLD = Math.floor(0.8 * LENGTH);
-const BABYRABBITS_NUM = Math.floor(LENGTH / 6);
-const FOXES_NUM = Math.floor(LENGTH / 15);
-const BEARS_NUM = Math.floor(LENGTH / 40);
-const WATER_HEIGHT = 0.15;
-
-// dictionary that maps the tilePosition to the hex
-let positionToHexDict = new Map();
-// dictionary that maps xy 1D coordinate to tilePosition
-let XYtoPositionDict = new Map();
-// map storing impassible terrain
-let hardTerrain = new Map();
+// slot the game is autosaved into. The first game uses the seed, slot and rules
+// from the url so maps can be shared.
+let urlParams = new URLSearchParams(window.location.search);
+let saveSlot = Number(urlParams.get("slot")) || 1;
+
+// rules for the map size, terrain height, lives, babies and predators. Changing
+// difficulty on the start screen replaces these and builds a new game.
+let rules;
+try {
+  rules = rulesFromParams(urlParams);
+} catch (error) {
+  console.log("Could not read rules from the url: " + error.message);
+  rules = createRules();
+}
+
+// the game being played: its seed, which drives every random choice in the
+// game, the hand made level it is played on or null for a generated map, the
+// game state, the turn engine that applies the player's actions to it and the
+// history of those actions used for undo and replays. newGame replaces all of
+// these, so they should always be looked up here rather than kept.
+let seed, level, rng, board, gameState, engine, history;
+
+// names shown in the status box when the camera mode changes
+const CAMERA_MODE_NAMES = {
+  follow: "FOLLOW CAMERA",
+  topDown: "TOP DOWN CAMERA",
+  orbit: "ORBIT CAMERA",
+};
+
+// points lost for undoing a turn
+const UNDO_PENALTY = 2;
+// milliseconds between actions when playing back a replay
+const REPLAY_STEP_TIME = 400;
+
+// replay waiting to be played once the start button is pressed, and the timer
+// stepping through a replay that is playing
+let pendingReplay = null;
+let replaying = false;
+let replayTimer = null;
+
+// group holding every object in the scene that belongs to the current game, so
+// it can all be torn down at once. Lights and the camera outlive games.
+let world;
+
+// click-to-move: the terrain meshes tiles are picked from, the tile under the
+// mouse, the tile being walked to along with the timer taking each step towards
+// it, and the markers previewing the path there
+let terrainMeshes = [];
+let hoveredTile = null;
+let walkGoal = null;
+let walkTimer = null;
+let pathMarkers = [];
+// milliseconds between steps when walking to a clicked tile
+const WALK_STEP_TIME = 250;
+// how far in pixels the pointer can move between press and release and still
+// count as a click rather than dragging the camera
+const CLICK_DISTANCE = 6;
+
+// picking state. The latest pointer position is only raycast once per frame.
+let raycaster = new Raycaster();
+let pointer = new Vector2();
+let pointerMoved = false;
+
+// minimap, and the keys of the tiles the rabbit has explored, which the minimap
+// hides under fog until then
+let minimap;
+let explored = new Set();
+
+// keys of the tiles the rabbit can see right now. Other tiles are dimmed, and
+// predators standing on them aren't drawn.
+let visible = new Set();
+
+// brightness of tiles the rabbit can see, has seen before, and has never seen
+const TILE_SHADES = { visible: 1, explored: 0.55, unexplored: 0.3 };
+
+// dictionary that maps entity ids to the objects representing them in the scene
+let entityMeshes = new Map();
+
+// terrain assets in the scene keyed by the tile they are on, so pickups can be
+// hidden once they are used up
+let propMeshes = new Map();
+
+// loads and caches every model and texture, and whether the current game has
+// finished building and can be started
+let assets;
+let ready = false;
+
+// the game currently being built. New games wait for it to finish so that two
+// builds never run at once.
+let building = Promise.resolve();
+
+// contents of the status box on the start screen, restored when going back
+let startStatus = document.getElementById("status").innerHTML;
 
 // other game object trackers
-let babyRabbits = [];
-let bears = [];
-let foxes = [];
 let labels = [];
 let foxLabels = [];
-let keyState;
-let globalRabbit;
-let globalStar;
+let input;
+// whether a game is being played, rather than the start or end screen showing,
+// and whether it is paused
+let playing = false;
+let paused = false;
 
 let mToggle = 0;
 let pToggle = 0;
 
-// game state information
-let lives = 10;
-let turnNumber = 0;
-let score = 0;
-let babiesLeft = BABYRABBITS_NUM;
-
-// build sequence
-initScene();
-initLights();
-initListeners();
-buildScene();
-animateScene();
+// build sequence. With ?preview in the url only the landscape is generated
+// and drawn, to try out landscape settings without starting a game.
+if (urlParams.has("preview")) {
+  showPreview(urlParams.get("seed") || randomSeed());
+} else {
+  initScene();
+  initLights();
+  initListeners();
+  // campaign levels can be linked to once they have been unlocked
+  if (urlParams.has("level") && isUnlocked(urlParams.get("level"))) {
+    playCampaignLevel(urlParams.get("level")).then((loaded) => {
+      if (!loaded) newGame();
+    });
+  } else {
+    newGame({ seed: urlParams.get("seed") });
+  }
+  animateScene();
+}
 
 // initializes camera, scene, renderer, effectComposer
 function initScene() {
-  // Update Game State UI Fields
-  document.getElementById('hitpoints').innerHTML = lives;
-  document.getElementById('totalScore').innerHTML = score;
-  document.getElementById('babiesRemaining').innerHTML = babiesLeft;
-
   // Initialize Camera
   camera = new PerspectiveCamera(75, innerWidth / innerHeight, 0.1, 1000);
   camera.position.set(-17, 35, 31);
@@ -141,6 +269,16 @@ function initScene() {
   renderer.shadowMap.type = PCFSoftShadowMap;
   document.body.appendChild(renderer.domElement);
 
+  // everything loaded for a game is kept for the next one
+  assets = createAssetManager(renderer);
+  assets.on("progress", renderLoading);
+  assets.on("error", function(event) {
+    console.log("Could not load " + event.path);
+    let line = document.createElement("div");
+    line.textContent = "COULD NOT LOAD " + event.path;
+    document.getElementById("loadingErrors").appendChild(line);
+  });
+
   // label renderer for debugging purposes
   labelRenderer = new CSS2DRenderer();
   labelRenderer.setSize( window.innerWidth, window.innerHeight );
@@ -154,7 +292,7 @@ function initScene() {
   renderPass =  new RenderPass( scene, camera );
   effectComposer.addPass(renderPass);
 
-  bloomPass = new UnrealBloomPass( new Vector2( window.innerWidth, window.innerHeight ), 1, LENGTH, 1);
+  bloomPass = new UnrealBloomPass( new Vector2( window.innerWidth, window.innerHeight ), 1, rules.mapRadius, 1);
   effectComposer.addPass(bloomPass);
 
   // Set up Camera Manipulation
@@ -164,6 +302,10 @@ function initScene() {
   controls.enableDamping = true;
   controls.enableZoom = true;
   controls.enablePan = true;
+
+  // camera modes for following the rabbit, starting with a slow orbit around
+  // the map for the start screen
+  cameraRig = createCameraRig(camera, controls);
   controls.autoRotate = true;
 }
 
@@ -171,8 +313,7 @@ function initScene() {
 function initLights() {
   // set up lights, color should be mostly white. Even a small bit other imbalance
   // is shown pretty obviously.
-  light = new PointLight(new Color("#fee2d2").convertSRGBToLinear().convertSRGBToLinear(), LENGTH * 3, 0);
-  light.position.set(20 * Math.floor(LENGTH / 15), Math.floor(MAX_HEIGHT * 2.2), 10 * Math.floor(LENGTH / 15));
+  light = new PointLight(new Color("#fee2d2").convertSRGBToLinear().convertSRGBToLinear(), 1, 0);
 
   light.castShadow = true;
   light.shadow.mapSize.width = 1024;
@@ -186,138 +327,874 @@ function initLights() {
   scene.add(ambientLight);
 }
 
+// moves the main light to suit the size of the current map
+function placeLights() {
+  let length = rules.mapRadius;
+  light.intensity = length * 3;
+  light.position.set(20 * Math.floor(length / 15), Math.floor(rules.maxHeight * 2.2), 10 * Math.floor(length / 15));
+}
+
 // initializes UI Interaction behaviors
 function initListeners() {
-  // add event listener for rabbit
-  document.addEventListener("keydown", function(event) {
-    keyState = event.key;
-    updateRabbitPerspective();
-
-    if (keyState == " ") {
-      moveRabbitUponSpacebar();
-      // increment turn number and have foxes and bears move
-      turnNumber++;
-      if (turnNumber % 2 == 0) updateFoxes();
-      if (turnNumber % 3 == 0) updateBears();
-
-      checkCollisions();
-    }
-
-    if (keyState == "p") {
-      getPerformance();
-      // mapValidTiles();
-      mapFoxAdjacentTiles();
-    }
+  // keys and gamepads are read through the input layer, which maps them to
+  // actions. Gamepad directions are relative to the camera.
+  input = createInput({ azimuth: () => controls.getAzimuthalAngle() });
+
+  input.on("rotateLeft", () => playerAction({ type: "rotate", delta: 60 }));
+  input.on("rotateRight", () => playerAction({ type: "rotate", delta: -60 }));
+  input.on("jump", () => playerAction({ type: "jump" }));
+  for (let action of INPUT_ACTIONS.filter((action) => action.direct)) {
+    input.on(action.name, (event) => playerAction({ type: "step", angle: event.angle }));
+  }
+  input.on("face", function(event) {
+    if (!canAct()) return;
+    for (let action of turnActions(getRabbit(gameState).angle, event.angle)) playerAction(action);
+  });
+  input.on("undo", function() {
+    if (!canAct()) return;
+    stopWalking();
+    undoAction();
+  });
+  input.on("pause", togglePause);
+  input.on("camera", function() {
+    if (!playing) return;
+    let mode = cameraRig.nextMode(rabbitFocus());
+    document.getElementById("status").innerHTML = CAMERA_MODE_NAMES[mode];
+  });
+  input.on("recentre", function() {
+    if (playing) cameraRig.recentre(rabbitFocus());
+  });
+  input.on("debugPerformance", function() {
+    getPerformance();
+    // mapValidTiles();
+    mapFoxAdjacentTiles();
+  });
+  input.on("debugCoords", mapHexCoords);
+
+  // minimap of the board. Clicking it pans the camera there, and its fog of war
+  // over unexplored tiles can be switched off.
+  minimap = createMinimap(document.getElementById("minimap"), { onClick: panCameraTo });
+  let minimapFog = document.getElementById("minimapFog");
+  minimapFog.addEventListener("click", function() {
+    minimap.setFog(!minimap.fog());
+    minimapFog.textContent = minimap.fog() ? "FOG ON" : "FOG OFF";
+    minimap.draw(gameState, explored, visible);
+  });
 
-    if (keyState == "m") {
-      mapHexCoords();
-    }
+  // settings menu for rebinding keys, opened from the start screen or by
+  // pausing the game
+  renderSettings();
+  document.getElementById("settingsButton").addEventListener("click", function() {
+    document.getElementById("settings").style.display = "block";
+  });
+  document.getElementById("closeSettings").addEventListener("click", function() {
+    input.cancelCapture();
+    if (paused) togglePause();
+    document.getElementById("settings").style.display = "none";
+  });
+  document.getElementById("resetBindings").addEventListener("click", function() {
+    input.resetBindings();
+    renderSettings();
+  });
+  let directKeys = document.getElementById("directKeys");
+  directKeys.addEventListener("change", function() {
+    input.setDirectKeys(directKeys.checked);
+    directKeys.blur();
+  });
+  let keyboardGamepad = document.getElementById("keyboardGamepad");
+  keyboardGamepad.addEventListener("change", function() {
+    input.setKeyboardGamepad(keyboardGamepad.checked);
+    // give the keys back to the game
+    keyboardGamepad.blur();
   });
 
   // add event listener for window resizing
   window.addEventListener( 'resize', onWindowResize, false );
 
+  // hovering over a tile previews the path to it and clicking it walks there.
+  // Presses that turn into drags are left to the camera controls.
+  let canvas = labelRenderer.domElement;
+  let pressedAt = null;
+  canvas.addEventListener("pointermove", function(event) {
+    if (event.pointerType != "mouse") return;
+    pointer.set((event.clientX / innerWidth) * 2 - 1, -(event.clientY / innerHeight) * 2 + 1);
+    pointerMoved = true;
+  });
+  canvas.addEventListener("pointerdown", function(event) {
+    if (event.isPrimary) pressedAt = { x: event.clientX, y: event.clientY };
+  });
+  canvas.addEventListener("pointerup", function(event) {
+    if (!event.isPrimary || pressedAt == null) return;
+    let moved = Math.hypot(event.clientX - pressedAt.x, event.clientY - pressedAt.y);
+    pressedAt = null;
+    if (moved > CLICK_DISTANCE) return;
+
+    pointer.set((event.clientX / innerWidth) * 2 - 1, -(event.clientY / innerHeight) * 2 + 1);
+    walkTo(pickTile());
+  });
+
+  // on screen buttons for touch devices
+  let touchActions = {
+    turnLeft: { type: "rotate", delta: 60 },
+    turnRight: { type: "rotate", delta: -60 },
+    jump: { type: "jump" },
+  };
+  for (let id in touchActions) {
+    document.getElementById(id).addEventListener("click", function() {
+      playerAction(touchActions[id]);
+    });
+  }
+
+  // entering a seed on the start screen regenerates the map from that seed
+  let seedInput = document.getElementById("seedInput");
+  seedInput.value = seed;
+  seedInput.addEventListener("keydown", function(event) {
+    // keep typing from moving the rabbit
+    event.stopPropagation();
+    if (event.key == "Enter" && seedInput.value.trim() != "") {
+      newGame({ seed: seedInput.value.trim() });
+    }
+  });
+
   // start button functionality
   let btn = document.querySelector('#start');
-  btn.addEventListener("click", function() {
-    controls.autoRotate = false;
-    document.getElementById("initialOverlay").style.display = "none";
-    document.getElementById("start").style.display = "none";
-    document.getElementById("instructions").style.display = "none";
-    document.getElementById("status").style.userSelect = "none";
-    document.getElementById("startFlavorText").style.display = "none";
-    document.getElementById("info").style.display = "flex";
+  btn.addEventListener("click", startGame);
+
+  // the save slots on the start screen
+  renderSaveSlots();
+
+  // the campaign levels on the start screen, and hand made levels loaded from
+  // a json file
+  renderCampaign();
+  let levelFile = document.getElementById("levelFile");
+  document.getElementById("loadLevel").addEventListener("click", function() {
+    levelFile.click();
+  });
+  levelFile.addEventListener("change", async function() {
+    let text = await levelFile.files[0].text();
+    try {
+      let loaded = parseLevel(text);
+      newGame({ level: loaded });
+      document.getElementById("startFlavorText").innerHTML = loaded.name.toUpperCase();
+    } catch (error) {
+      document.getElementById("startFlavorText").innerHTML = error.message.toUpperCase();
+    }
+    levelFile.value = "";
+  });
+
+  // difficulty buttons rebuild the map under the chosen preset's rules, and
+  // custom rules are loaded from a json file
+  for (let button of document.querySelectorAll("#difficulty button[data-preset]")) {
+    button.addEventListener("click", function() {
+      newGame({ seed, rules: createRules(button.dataset.preset) });
+    });
+  }
+
+  let rulesFile = document.getElementById("rulesFile");
+  document.getElementById("customRules").addEventListener("click", function() {
+    rulesFile.click();
+  });
+  rulesFile.addEventListener("change", async function() {
+    let text = await rulesFile.files[0].text();
+    try {
+      newGame({ seed, rules: parseRules(text) });
+      document.getElementById("startFlavorText").innerHTML = "CUSTOM RULES LOADED";
+    } catch (error) {
+      document.getElementById("startFlavorText").innerHTML = error.message.toUpperCase();
+    }
+    rulesFile.value = "";
+  });
+
+  // end screen buttons. Restarting goes back to the start screen, while the
+  // others jump straight into a new game.
+  document.getElementById("restart").addEventListener("click", function() {
+    newGame({ seed, level });
+    showStartScreen();
+  });
+  document.getElementById("sameMap").addEventListener("click", function() {
+    newGame({ seed, level }).then(startGame);
+  });
+  document.getElementById("nextLevel").addEventListener("click", function() {
+    playCampaignLevel(nextLevel(level.id).id).then((loaded) => {
+      if (loaded) startGame();
+    });
+  });
+  document.getElementById("newMap").addEventListener("click", function() {
+    newGame().then(startGame);
+  });
+
+  // replays of finished games can be downloaded from the end screen
+  document.getElementById("downloadReplay").addEventListener("click", function() {
+    let file = new Blob([exportReplay(seed, history.actions(), rules, level)], { type: "application/json" });
+    let link = document.createElement("a");
+    link.href = URL.createObjectURL(file);
+    link.download = "rabbit-rescue-" + seed + ".json";
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
+
+  // loading a replay builds the replay's map, then the replay plays once the
+  // start button is pressed
+  let replayFile = document.getElementById("replayFile");
+  document.getElementById("loadReplay").addEventListener("click", function() {
+    replayFile.click();
+  });
+  replayFile.addEventListener("change", async function() {
+    let text = await replayFile.files[0].text();
+    try {
+      newGame({ replay: parseReplay(text) });
+      document.getElementById("startFlavorText").innerHTML = "REPLAY LOADED";
+    } catch (error) {
+      document.getElementById("startFlavorText").innerHTML = error.message.toUpperCase();
+    }
+    replayFile.value = "";
+  });
+}
+
+// hides the start screen and hands control to the player
+function startGame() {
+  if (!ready) return;
+
+  playing = true;
+  cameraRig.setMode(cameraRig.mode(), rabbitFocus());
+  document.getElementById("initialOverlay").style.display = "none";
+  document.getElementById("initialOverlay").style.background = "";
+  document.getElementById("start").style.display = "none";
+  document.getElementById("instructions").style.display = "none";
+  document.getElementById("status").style.userSelect = "none";
+  document.getElementById("startFlavorText").style.display = "none";
+  document.getElementById("seed").style.display = "none";
+  document.getElementById("replay").style.display = "none";
+  document.getElementById("saves").style.display = "none";
+  document.getElementById("campaign").style.display = "none";
+  document.getElementById("difficulty").style.display = "none";
+  document.getElementById("settingsButton").style.display = "none";
+  document.getElementById("settings").style.display = "none";
+  document.getElementById("endButtons").style.display = "none";
+  document.getElementById("info").style.display = "flex";
+  document.getElementById("minimapPanel").style.display = "block";
+  if (matchMedia("(pointer: coarse)").matches) {
+    document.getElementById("touchControls").style.display = "flex";
+  }
+
+  if (pendingReplay != null) playReplay(pendingReplay.actions);
+}
+
+// shows the start screen again, the way it looks when the page first loads
+function showStartScreen() {
+  playing = false;
+  cameraRig.overview();
+  document.getElementById("initialOverlay").style.display = "block";
+  document.getElementById("initialOverlay").style.background = "";
+  document.getElementById("start").style.display = "block";
+  document.getElementById("status").innerHTML = startStatus;
+  document.getElementById("status").style.userSelect = "";
+  document.getElementById("startFlavorText").style.display = "block";
+  document.getElementById("startFlavorText").innerHTML = level != null ? level.name.toUpperCase() : "TO THE RESCUE!";
+  document.getElementById("seed").style.display = "block";
+  document.getElementById("replay").style.display = "block";
+  document.getElementById("downloadReplay").style.display = "none";
+  document.getElementById("saves").style.display = "block";
+  document.getElementById("campaign").style.display = "block";
+  document.getElementById("difficulty").style.display = "block";
+  document.getElementById("settingsButton").style.display = "block";
+  document.getElementById("endButtons").style.display = "none";
+  document.getElementById("info").style.display = "none";
+  document.getElementById("touchControls").style.display = "none";
+  document.getElementById("minimapPanel").style.display = "none";
+  renderSaveSlots();
+  renderCampaign();
+}
+
+// tears down the current game, if there is one, and builds a new one in its
+// place. Returns a promise that resolves once the new game is ready to play.
+//
+// options:
+//   seed    map seed, a random one is made up if this is left out
+//   rules   rules to play under, the current rules are kept if this is left out
+//   level   hand made level to play, which is played under its own rules. A
+//           map is generated from the seed if this is left out.
+//   save    saved game to resume, which is played on its own seed, rules and
+//           level
+//   replay  replay to play once the game starts, also played on its own seed,
+//           rules and level
+function newGame(options = {}) {
+  let { save = null, replay = null } = options;
+
+  building = building.then(() => {
+    disposeGame();
+    showLoading();
+
+    seed = options.seed || randomSeed();
+    level = options.level || null;
+    if (options.rules != undefined) rules = options.rules;
+    if (level != null) rules = levelRules(level);
+    if (save != null) {
+      seed = save.seed;
+      rules = savedRules(save);
+      level = savedLevel(save);
+    }
+    if (replay != null) {
+      seed = replay.seed;
+      rules = replay.rules;
+      level = replay.level;
+    }
+    rng = createRandomStreams(seed);
+    renderDifficulty();
+
+    board = createBoard();
+    gameState = createGameState(board, {
+      lives: rules.lives,
+      maxRewardedTurns: Math.floor(rules.mapRadius * rules.mapRadius * 0.05),
+    });
+    engine = createTurnEngine(gameState, rng.predators, rules);
+    history = createHistory(engine, rng.predators, save != null ? savedActions(save) : []);
+    pendingReplay = replay;
+    initTurnEvents();
+
+    // keep the url pointing at this map and rules so they can be shared.
+    // Campaign levels are shared by name instead, and other hand made levels
+    // can only be shared as files.
+    document.getElementById("seedInput").value = seed;
+    let params = new URLSearchParams();
+    if (level == null) {
+      params = rulesToParams(rules);
+      params.set("seed", seed);
+    } else if (level.id != undefined) {
+      params.set("level", level.id);
+    }
+    params.set("slot", saveSlot);
+    window.history.replaceState(null, "", "?" + params);
+
+    return buildScene(save);
+  }).then(() => {
+    ready = true;
+    document.getElementById("start").disabled = false;
+    document.getElementById("loading").style.display = "none";
+  }).catch((error) => {
+    console.log("Could not build game: " + error.message);
+    document.getElementById("loadingText").textContent = "COULD NOT START THE GAME";
+  });
+
+  return building;
+}
+
+// shows the loading screen while a game is built. The game can't be started
+// until it is done.
+function showLoading() {
+  ready = false;
+  document.getElementById("start").disabled = true;
+  document.getElementById("loading").style.display = "block";
+  document.getElementById("loadingErrors").innerHTML = "";
+  renderLoading({ loaded: 0, total: 0 });
+}
+
+// shows how many of the files asked for have finished loading
+function renderLoading({ loaded, total }) {
+  document.getElementById("loadingText").textContent = "LOADING " + loaded + " / " + total;
+  document.getElementById("loadingProgress").style.width = (total == 0 ? 0 : loaded / total * 100) + "%";
+}
+
+// removes everything belonging to the current game from the scene and frees
+// the geometries, materials and textures it used
+function disposeGame() {
+  clearInterval(replayTimer);
+  clearInterval(walkTimer);
+  replaying = false;
+  paused = false;
+  walkGoal = null;
+  hoveredTile = null;
+  TWEEN.removeAll();
+  cameraRig.cancelTransition();
+
+  if (world != undefined) disposeObject(world);
+  for (let mesh of entityMeshes.values()) disposeObject(mesh);
+
+  world = new Group();
+  scene.add(world);
+  entityMeshes.clear();
+  propMeshes.clear();
+  explored = new Set();
+  visible = new Set();
+  terrainMeshes = [];
+  pathMarkers = [];
+  labels = [];
+  foxLabels = [];
+  mToggle = 0;
+  pToggle = 0;
+  resetTerrainGeometry();
+}
+
+// frees the gpu resources used by an object and everything below it, and
+// takes it out of the scene. Anything shared with the asset manager's cached
+// copies is kept for the next game.
+function disposeObject(object) {
+  object.traverse((child) => {
+    if (child.geometry != undefined && !assets.isShared(child.geometry)) child.geometry.dispose();
+    for (let material of [].concat(child.material || [])) disposeMaterial(material);
+
+    // reflections and refractions used by the water have their own targets
+    if (typeof child.dispose == "function") child.dispose();
+    // debug labels are html elements rather than part of the canvas
+    if (child.element instanceof Element) child.element.remove();
+  });
+  object.removeFromParent();
+}
+
+// frees a material along with every texture it uses
+function disposeMaterial(material) {
+  if (assets.isShared(material)) return;
+
+  let textures = Object.values(material);
+  for (let uniform of Object.values(material.uniforms || {})) textures.push(uniform.value);
+  for (let texture of textures) {
+    if (texture != null && texture.isTexture && !assets.isShared(texture)) texture.dispose();
+  }
+  material.dispose();
+}
+
+// highlights the difficulty the current rules belong to on the start screen
+function renderDifficulty() {
+  let selected = isCustom(rules) ? "customRules" : rules.preset;
+  for (let button of document.querySelectorAll("#difficulty button")) {
+    button.classList.toggle("selected", button.id == selected);
+  }
+}
+
+// lists the save slots on the start screen. Picking a slot makes new games save
+// into it, and slots holding a game in progress can be continued.
+function renderSaveSlots() {
+  let container = document.getElementById("saveSlots");
+  container.innerHTML = "";
+
+  for (let { slot, save, error } of listSaves()) {
+    let row = document.createElement("div");
+    row.className = "saveSlot";
+
+    let label = document.createElement("label");
+    let radio = document.createElement("input");
+    radio.type = "radio";
+    radio.name = "saveSlot";
+    radio.checked = slot == saveSlot;
+    radio.addEventListener("change", function() {
+      saveSlot = slot;
+    });
+    label.appendChild(radio);
+
+    let description = " SLOT " + slot + ": ";
+    if (error != undefined) description += "UNREADABLE SAVE";
+    else if (save == null) description += "EMPTY";
+    else description += "TURN " + save.turn + ", SCORE " + save.score;
+    label.appendChild(document.createTextNode(description));
+    row.appendChild(label);
+
+    if (save != null) {
+      let continueButton = document.createElement("button");
+      continueButton.textContent = "CONTINUE";
+      continueButton.addEventListener("click", function() {
+        saveSlot = slot;
+        newGame({ save }).then(startGame);
+      });
+      row.appendChild(continueButton);
+    }
+
+    container.appendChild(row);
+  }
+}
+
+// lists the campaign levels on the start screen with the best score on each.
+// Levels that are unlocked can be played, and the rest are greyed out.
+function renderCampaign() {
+  let container = document.getElementById("campaignLevels");
+  container.innerHTML = "";
+
+  listCampaign().forEach(({ id, unlocked, best }, index) => {
+    let row = document.createElement("div");
+    row.className = "campaignLevel";
+
+    let description = "LEVEL " + (index + 1) + ": ";
+    if (!unlocked) description += "LOCKED";
+    else if (best == null) description += "NOT FINISHED";
+    else description += "BEST " + best;
+    row.appendChild(document.createTextNode(description));
+
+    if (unlocked) {
+      let playButton = document.createElement("button");
+      playButton.textContent = "PLAY";
+      playButton.addEventListener("click", function() {
+        playCampaignLevel(id);
+      });
+      row.appendChild(playButton);
+    } else {
+      row.classList.add("locked");
+    }
+
+    container.appendChild(row);
   });
 }
 
-// general FBX loader
-function loadAsset(path) {
-  return new Promise((resolve, reject) => {
-    const fbxLoader = new FBXLoader();
-    fbxLoader.load(path, (asset) => resolve(asset));
-  })
+// builds a game on a campaign level once its file has been fetched, showing
+// the level's name on the start screen. Returns a promise that resolves once
+// the game is ready to play, to whether the level could be loaded.
+async function playCampaignLevel(id) {
+  let { path } = CAMPAIGN.find((entry) => entry.id == id);
+  try {
+    let response = await fetch(path);
+    if (!response.ok) throw new Error("Could not load " + path);
+    let loaded = { ...parseLevel(await response.text()), id };
+
+    await newGame({ level: loaded });
+    document.getElementById("startFlavorText").innerHTML = loaded.name.toUpperCase();
+    return true;
+  } catch (error) {
+    console.log(error.message);
+    document.getElementById("startFlavorText").innerHTML = error.message.toUpperCase();
+    return false;
+  }
+}
+
+// plays an action and autosaves the game
+function performAction(action) {
+  history.act(action);
+  autosave();
+}
+
+// saves the game into the current slot, or clears the slot once the game is
+// over since a finished game can't be continued. Replays aren't saved, and
+// neither is anything done before the game is started, so a game waiting on
+// the start screen never overwrites the save in the slot. The game has
+// already ended by the time its last action is saved, which still clears it.
+function autosave() {
+  if (replaying) return;
+  if (!playing && gameState.result == IN_PROGRESS) return;
+
+  if (gameState.result == IN_PROGRESS) {
+    writeSave(saveSlot, serializeGame(seed, gameState, rng.predators, history.actions(), rules, level));
+  } else {
+    deleteSave(saveSlot);
+  }
 }
 
-// builds the scene
-async function buildScene() {
+// returns whether the player is allowed to act. They can't before the game
+// has started or after it has ended, while a replay is playing or while the
+// game is paused.
+function canAct() {
+  return playing && !replaying && !paused;
+}
+
+// plays an action the player asked for, stopping any walk to a clicked tile
+function playerAction(action) {
+  if (!canAct()) return;
+  stopWalking();
+  performAction(action);
+}
+
+// pauses or resumes the game. The settings menu is shown while paused.
+function togglePause() {
+  if (!playing && !paused) return;
+
+  paused = !paused;
+  stopWalking();
+  input.cancelCapture();
+  renderSettings();
+  document.getElementById("settings").style.display = paused ? "block" : "none";
+  document.getElementById("status").innerHTML = paused ? "PAUSED" : "";
+}
+
+// lists every action in the settings menu with the keys bound to it. Clicking
+// the keys for an action waits for the next key press and binds that instead.
+function renderSettings() {
+  let container = document.getElementById("bindings");
+  container.innerHTML = "";
+
+  let bindings = input.bindings();
+  for (let { name, label } of INPUT_ACTIONS) {
+    let row = document.createElement("div");
+    row.className = "binding";
+
+    let text = document.createElement("span");
+    text.textContent = label;
+    row.appendChild(text);
+
+    let button = document.createElement("button");
+    button.textContent = bindings[name].map(keyName).join(" / ") || "NONE";
+    button.addEventListener("click", function() {
+      button.textContent = "PRESS A KEY";
+      // so the key pressed doesn't also click the button
+      button.blur();
+      input.captureKey(function(key) {
+        input.bind(name, key);
+        renderSettings();
+      });
+    });
+    row.appendChild(button);
+
+    container.appendChild(row);
+  }
+
+  document.getElementById("directKeys").checked = input.directKeys();
+  document.getElementById("keyboardGamepad").checked = input.keyboardGamepad();
+}
+
+// returns where the rabbit is in the scene and which way it faces, for the
+// camera to look at, or null before the rabbit has been placed. The position is
+// taken from the rabbit's model so the camera moves smoothly through hops.
+function rabbitFocus() {
+  let rabbit = gameState != undefined ? getRabbit(gameState) : undefined;
+  if (rabbit == undefined) return null;
+
+  let mesh = entityMeshes.get(rabbit.id);
+  let position = mesh != undefined ? mesh.position.clone() : tileTopPosition(rabbit.q, rabbit.r);
+  return { position, angle: rabbit.angle };
+}
+
+// pans the camera to a tile picked on the minimap
+function panCameraTo(tile) {
+  if (!playing) return;
+
+  let mode = cameraRig.mode();
+  if (cameraRig.panTo(tileTopPosition(tile.q, tile.r)) != mode) {
+    document.getElementById("status").innerHTML = CAMERA_MODE_NAMES[cameraRig.mode()];
+  }
+}
+
+// returns the tile under the pointer, or null if it isn't over the map
+function pickTile() {
+  raycaster.setFromCamera(pointer, camera);
+  let hit = raycaster.intersectObjects(terrainMeshes)[0];
+  if (hit == undefined) return null;
+
+  // nudge the point into the hex that was hit, so that hitting the side of a
+  // hex picks that hex rather than the one in front of it
+  let point = hit.point.clone().addScaledVector(raycaster.ray.direction, 0.01);
+  let { q, r } = worldToHex(point.x, point.z);
+  return getTile(board, q, r) || null;
+}
+
+// updates the hovered tile and its path preview after the pointer moves
+function updateHover() {
+  pointerMoved = false;
+  let tile = pickTile();
+  if (tile == hoveredTile) return;
+
+  hoveredTile = tile;
+  if (walkGoal == null) previewPath(hoveredTile);
+}
+
+// starts walking the rabbit to a tile, one turn per step
+function walkTo(tile) {
+  if (tile == null || !canAct() || gameState.result != IN_PROGRESS) return;
+
+  stopWalking();
+  if (planWalk(gameState, tile, rules) == null) {
+    document.getElementById("status").innerHTML = "YOU CAN'T GET THERE";
+    return;
+  }
+
+  walkGoal = tile;
+  takeWalkStep();
+  walkTimer = setInterval(takeWalkStep, WALK_STEP_TIME);
+}
+
+// takes the next step towards the walk goal, stopping once it is reached or
+// can no longer be reached
+function takeWalkStep() {
+  let actions = gameState.result == IN_PROGRESS ? nextWalkActions(gameState, walkGoal, rules) : null;
+  if (actions == null) {
+    stopWalking();
+    return;
+  }
+
+  for (let action of actions) performAction(action);
+  previewPath(walkGoal);
+}
+
+// stops any walk in progress and goes back to previewing the hovered tile
+function stopWalking() {
+  clearInterval(walkTimer);
+  walkGoal = null;
+  previewPath(hoveredTile);
+}
+
+// marks a tile and the path the rabbit would take to get there. Tiles that
+// can't be reached are marked in red.
+function previewPath(tile) {
+  for (let marker of pathMarkers) disposeObject(marker);
+  pathMarkers = [];
+  if (tile == null || gameState.result != IN_PROGRESS) return;
+
+  let path = planWalk(gameState, tile, rules);
+  pathMarkers.push(tileMarker(tile, 0.9, path == null ? 0xff0000 : 0xffff00));
+  for (let step of (path || []).slice(0, -1)) {
+    pathMarkers.push(tileMarker(step, 0.35, 0xffffff));
+  }
+}
+
+// adds a flat hexagon lying on top of a tile to the scene
+function tileMarker(tile, radius, color) {
+  let marker = new Mesh(
+    new CylinderGeometry(radius, radius, 0.05, 6),
+    new MeshBasicMaterial({ color, transparent: true, opacity: 0.6 })
+  );
+  marker.position.copy(tileTopPosition(tile.q, tile.r));
+  marker.position.y += 0.05;
+  world.add(marker);
+  return marker;
+}
+
+// takes back the player's last action, at a cost if it was a jump
+function undoAction() {
+  if (history.undo(UNDO_PENALTY)) {
+    document.getElementById("status").innerHTML = "MOVE UNDONE";
+    syncView();
+    autosave();
+  } else {
+    document.getElementById("status").innerHTML = "NOTHING TO UNDO";
+  }
+}
+
+// plays a replay back one action at a time so each jump can be watched
+function playReplay(actions) {
+  replaying = true;
+  let played = 0;
+
+  replayTimer = setInterval(function() {
+    if (paused) return;
+    if (played == actions.length || gameState.result != IN_PROGRESS) {
+      clearInterval(replayTimer);
+      replaying = false;
+      if (gameState.result == IN_PROGRESS) document.getElementById("status").innerHTML = "REPLAY FINISHED";
+      return;
+    }
+
+    history.play(actions[played], UNDO_PENALTY);
+    played++;
+    if (gameState.result == IN_PROGRESS) {
+      document.getElementById("status").innerHTML = "REPLAY " + played + " / " + actions.length;
+    }
+  }, REPLAY_STEP_TIME);
+}
+
+// subscribes the scene and UI to what happens each turn
+function initTurnEvents() {
+  engine.on("blocked", function(event) {
+    document.getElementById("status").innerHTML = event.tooHigh ? "TOO HIGH TO CLIMB" : "YOU CAN'T GO THERE";
+  });
+
+  engine.on("rabbitFell", function() {
+    document.getElementById("status").innerHTML = "OUCH, THAT WAS A LONG DROP";
+  });
+
+  engine.on("rabbitMoved", function(event) {
+    let tile = getTile(board, event.entity.q, event.entity.r);
+    document.getElementById("status").innerHTML = propRules(tile).hides ? "HIDING IN THE TALL GRASS" : "YOU'RE DOING GREAT";
+  });
+
+  engine.on("pickupUsed", function(event) {
+    let message = "FOUND A FLOWER";
+    if (event.health > 0) message = "THAT MUSHROOM WAS TASTY";
+    if (event.health < 0) message = "THAT MUSHROOM WAS POISONOUS";
+    document.getElementById("status").innerHTML = message;
+  });
+
+  engine.on("babyRescued", function() {
+    document.getElementById("status").innerHTML = "BABY LOCATED";
+  });
+
+  engine.on("rabbitTurned", syncView);
+  engine.on("turnEnded", syncView);
+
+  engine.on("gameOver", function(event) {
+    stopWalking();
+    if (event.result == LOST) endGame(-1);
+    if (event.result == WON) endGame(1);
+  });
+}
+
+// builds the scene for the current game, resuming the given save if there is one
+async function buildScene(save) {
   // environment map set up. await in this case means that the command here will
-  // wait for RGBE Loader to finish processing the HDR file before continuing.
-  let pmrem = new PMREMGenerator(renderer);
-  pmrem.compileEquirectangularShader();
+  // wait for the HDR file to be processed before continuing. A default
+  // environment is used if the file is missing.
+  envmap = await assets.environment("assets/envmap3.hdr");
 
-  let envmapTexture = await new RGBELoader().loadAsync("assets/envmap3.hdr");
-  let rt = pmrem.fromEquirectangular(envmapTexture);
-  envmap = rt.texture;
+  // fit the lighting to the size of the map
+  placeLights();
 
   // load in textures for different hex types. Using minecraft texture packs
   // is actually a very good idea for skinning the tiles.
-  let textures = {
-    dirt: await new TextureLoader().loadAsync("assets/dirt.png"),
-    dirt2: await new TextureLoader().loadAsync("assets/dirt2.png"),
-    gravel: await new TextureLoader().loadAsync("assets/gravel.png"),
-    grass: await new TextureLoader().loadAsync("assets/grass.png"),
-    sand: await new TextureLoader().loadAsync("assets/sand.png"),
-    water: await new TextureLoader().loadAsync("assets/water.jpg"),
-    stone: await new TextureLoader().loadAsync("assets/stone.png"),
-  };
-
-  // noise for generating different heights. we could use a different noise
-  // engine if we wanted actually, depending on what we want.
-  const simplex = new SimplexNoise();
-
-  // create 40x40 hex map, varying height using simplex noise. This will be
-  // larger for our purposes, but I haven't tested quite yet.
-  for (let i = -LENGTH; i <= LENGTH; i++) {
-    for (let j = -LENGTH; j <= LENGTH; j++) {
-      // calculate position for current tile
-      let tilePosition = tileToPosition(i, j);
-
-      // if position is within desired radius, add a hex
-      if (tilePosition.length() < MAX_DISTANCE_THRESHOLD) {
-        let noise = (simplex.noise2D(i * 0.1, j * 0.1) + 1) * 0.5;
-        noise = Math.pow(noise, 1.5);
-
-        XYtoPositionDict.set(XYto1D(i, j), tilePosition);
-        if (noise <= WATER_HEIGHT) {
-          hardTerrain.set(tilePosition, 1);
-        } else {
-          hardTerrain.set(tilePosition, 0);
-        }
-
-        hex(noise * MAX_HEIGHT, tilePosition, envmap);
-      }
-    }
+  let textures = {};
+  let waterNormals = [];
+  await Promise.all([
+    ...TERRAIN_TYPES.map(async ({ name }) => {
+      textures[name] = await assets.texture("assets/" + name + ".png");
+    }),
+    ...["assets/Water_1_M_Normal.jpg", "assets/Water_2_M_Normal.jpg"].map(async (path, index) => {
+      waterNormals[index] = await assets.texture(path);
+    }),
+  ]);
+
+  // radius of the map in tiles, which the sea and the map floor are sized to
+  let length = rules.mapRadius;
+
+  // lay out the map and decide where everything starts. Hand made levels say
+  // where everything goes, while generated maps get hills, biomes and rivers
+  // with trees, rocks, flowers and the rest scattered over them. Generated
+  // levels are then changed where needed so they can be completed, and only
+  // after that are the terrain assets added since this may clear some.
+  let placements;
+  if (level != null) {
+    placements = buildLevel(board, level, rules);
+  } else {
+    let landscape = landscapeOptions();
+    generateLandscape(board, createNoise, rng.terrain, landscape);
+    decorateBoard(board, rng.decorations);
+
+    placements = generateLevel(board, rng.spawns, {
+      spawn: { q: 0, r: 0 },
+      placementRadius: Math.floor(landscape.radius / 2),
+      babies: rules.babies,
+      maxClimb: rules.maxClimb,
+      predators: Object.entries(rules.predators).map(([type, predator]) => {
+        return { type, count: predator.count };
+      }),
+    });
   }
 
-  // adds the aggregate geometries of each terrain type and textures them
-  let stoneMesh = hexMesh(stoneGeo, textures.stone);
-  let grassMesh = hexMesh(grassGeo, textures.grass);
-  let dirt2Mesh = hexMesh(dirt2Geo, textures.dirt2);
-  let gravelMesh = hexMesh(gravelGeo, textures.gravel);
-  let dirtMesh = hexMesh(dirtGeo, textures.dirt);
-  let sandMesh = hexMesh(sandGeo, textures.sand);
-  scene.add(stoneMesh, dirtMesh, dirt2Mesh, gravelMesh, sandMesh, grassMesh);
+  // sort the tiles into the instanced meshes they are drawn with
+  for (let tile of board.tiles.values()) hex(tile);
+
+  // draws every tile of each terrain type as an instance of the same prism,
+  // textured for the terrain
+  let prism = hexGeometry();
+  terrainMeshes = Object.keys(terrainTiles).map((terrain) => {
+    return hexMesh(prism, textures[terrain], terrainTiles[terrain]);
+  });
+  world.add(...terrainMeshes);
+
+  // rivers are drawn as water filling their beds up to just below the banks
+  let rivers = [...board.tiles.values()].filter((tile) => tile.river);
+  if (rivers.length > 0) world.add(riverMesh(prism, waterNormals[0], rivers));
 
   // water.js water
-  const textureLoader = new TextureLoader();
-  const waterGeometry = new CircleGeometry( 0.85 * LENGTH, 64 );
+  const waterGeometry = new CircleGeometry( 0.85 * length, 64 );
 	water = new Water( waterGeometry, {
 		color: new Color("#ffffff"),
 		scale: 1,
 		flowDirection: new Vector2( 0.1 , 0.05 ),
 		textureWidth: 512,
 		textureHeight: 512,
-    normalMap0: textureLoader.load( 'assets/Water_1_M_Normal.jpg' ),
-    normalMap1: textureLoader.load( 'assets/Water_2_M_Normal.jpg' ),
+    normalMap0: waterNormals[0],
+    normalMap1: waterNormals[1],
 	} );
 
-	water.position.set(0, MAX_HEIGHT * WATER_HEIGHT, 0);
+	water.position.set(0, rules.maxHeight * rules.waterHeight, 0);
 	water.rotation.x = Math.PI * - 0.5;
-	scene.add( water );
+	world.add( water );
 
   // defines and adds the map floor
   let mapFloor = new Mesh(
-    new CylinderGeometry(0.9 * LENGTH, 0.9 * LENGTH, MAX_HEIGHT * 0.1, 50),
+    new CylinderGeometry(0.9 * length, 0.9 * length, rules.maxHeight * 0.1, 50),
     new MeshPhysicalMaterial({
       envMap: envmap,
       map: textures.dirt2,
@@ -326,98 +1203,140 @@ async function buildScene() {
     })
   );
   mapFloor.receiveShadow = true;
-  mapFloor.position.set(0, -MAX_HEIGHT * 0.05, 0);
-  scene.add(mapFloor);
-
-  // load in rabbit asset and set global rabbit variable
-  loadAsset('assets/rabbit.fbx').then((rabbit) => {
-    rabbit.scale.multiplyScalar(0.05);
-
-    let tilePosition = XYtoPositionDict.get(XYto1D(0, 0));
-    let translationVec = positionToHexDict.get(tilePosition)[1];
+  mapFloor.position.set(0, -rules.maxHeight * 0.05, 0);
+  world.add(mapFloor);
 
-    rabbit.translateX(translationVec.x);
-    rabbit.translateY(translationVec.y);
-    rabbit.translateZ(translationVec.z);
-    rabbit.tileX = 0;
-    rabbit.tileY = 0;
+  // put everything in its starting place, or back where it was in the game
+  // being resumed
+  if (save != null) applySave(gameState, save, rng.predators);
+  else populateLevel(placements);
 
-    scene.add(rabbit);
+  // load every model the map needs before adding any of them. The game can't be
+  // played without the animals, but a missing terrain asset is just left out.
+  let propPaths = [...board.tiles.values()].filter((tile) => tile.prop != null).map(propPath);
+  let entityPaths = gameState.entities.map(entityModelPath);
+  let failed = await assets.loadModels(propPaths.concat(entityPaths));
+  let missing = entityPaths.find((path) => failed.includes(path));
+  if (missing != undefined) throw new Error("Could not load " + missing);
 
-    globalRabbit = rabbit;
-    globalRabbit.angleMetric = 60;
-    globalRabbit.rotateY(Math.PI / 6);
-    globalRabbit.rotateY(2 * Math.PI / 3);
-  })
+  placeProps();
+  for (let entity of gameState.entities) addEntityModel(entity);
 
-  // load in star asset and set global star variable
-  loadAsset('assets/star.fbx').then((star) => {
-    star.scale.multiplyScalar(0.005);
+  // update game state UI fields
+  syncView();
 
-    let tile = getRandomValidTile();
-    let translationVec = positionToHexDict.get(tile[0])[1];
+}
 
-    star.translateX(translationVec.x);
-    star.translateY(translationVec.y + 1.5);
-    star.translateZ(translationVec.z);
-    star.tileX = tile[1];
-    star.tileY = tile[2];
-    star.children[0].material.color = new Color(0xffff00);
+// shows the landscape preview for a seed in place of the game. The buttons
+// switch between layers, make up a new seed, or start a game on the map shown.
+function showPreview(previewSeed) {
+  let canvas = document.getElementById("previewCanvas");
+  let layer = PREVIEW_LAYERS[0];
+  let previewBoard;
+
+  function generate() {
+    previewBoard = createBoard();
+    generateLandscape(previewBoard, createNoise, createRandomStreams(previewSeed).terrain, landscapeOptions());
+    document.getElementById("previewSeedText").textContent = "SEED " + previewSeed;
+
+    let params = rulesToParams(rules);
+    params.set("seed", previewSeed);
+    params.set("preview", "");
+    window.history.replaceState(null, "", "?" + params);
+  }
 
-    console.log(star);
+  function draw() {
+    drawPreview(canvas, previewBoard, layer, rules);
+    for (let button of document.querySelectorAll("#previewLayers button")) {
+      button.classList.toggle("selected", button.dataset.layer == layer);
+    }
+  }
 
-    scene.add(star);
+  for (let button of document.querySelectorAll("#previewLayers button")) {
+    button.addEventListener("click", function() {
+      layer = button.dataset.layer;
+      draw();
+    });
+  }
+  document.getElementById("previewNewSeed").addEventListener("click", function() {
+    previewSeed = randomSeed();
+    generate();
+    draw();
+  });
+  document.getElementById("previewPlay").addEventListener("click", function() {
+    let params = rulesToParams(rules);
+    params.set("seed", previewSeed);
+    window.location.search = params;
+  });
 
-    globalStar = star;
-    globalStar.angleMetric = 60;
-    globalStar.rotateY(Math.PI / 6);
-    globalStar.rotateY(2 * Math.PI / 3);
+  document.body.classList.add("previewing");
+  generate();
+  draw();
+}
 
-    let tween = new TWEEN.Tween(star.rotation)
-        .to({ y: "-" + Math.PI/2}, 1000) // relative animation
-        .onComplete(function() {
-            // Check that the full 360 degrees of rotation,
-            // and calculate the remainder of the division to avoid overflow.
-            if (Math.abs(group.rotation.y)>=2*Math.PI) {
-                group.rotation.y = group.rotation.y % (2*Math.PI);
-            }
-        })
-        .start();
-     tween.repeat(Infinity);
-  })
+// makes a noise function for the landscape generator, seeded from random
+function createNoise(random) {
+  const simplex = new SimplexNoise(random);
+  return (x, y) => simplex.noise2D(x, y);
+}
 
-  // add other animals to the scene
-  generateBabyRabbits();
-  generateBears();
-  generateFoxes();
+// returns the options the landscape generator is given for the current rules.
+// The map is circular, with tiles out to radius from the centre.
+function landscapeOptions() {
+  return {
+    radius: Math.floor(0.8 * rules.mapRadius),
+    maxHeight: rules.maxHeight,
+    waterHeight: rules.waterHeight,
+    ...rules.landscape,
+  };
 }
 
 // animation
 function animateScene() {
   requestAnimationFrame( animateScene );
 
+  const delta = clock.getDelta();
+  if (playing) cameraRig.update(rabbitFocus(), delta);
   controls.update();
   // stats.update();
   TWEEN.update();
+  input.update();
+  if (pointerMoved) updateHover();
 
 	render();
 }
 
 // render function
 function render() {
-  const delta = clock.getDelta();
   effectComposer.render(scene, camera);
   labelRenderer.render(scene, camera);
 }
 
 // end game function
 function endGame(type) {
-  // display endgame UI
+  playing = false;
+
+  // display endgame UI, including the seed so the map can be shared
   document.getElementById("initialOverlay").style.display = "block";
   document.getElementById("startFlavorText").style.display = "block";
+  document.getElementById("seed").style.display = "block";
+  document.getElementById("replay").style.display = "block";
+  document.getElementById("downloadReplay").style.display = "inline";
+  document.getElementById("endButtons").style.display = "block";
+  document.getElementById("nextLevel").style.display = "none";
+  document.getElementById("touchControls").style.display = "none";
+  document.getElementById("minimapPanel").style.display = "none";
+
+  // winning a campaign level unlocks the next one. Watching a replay doesn't
+  // count.
+  if (type == WON && level != null && level.id != undefined && !replaying) {
+    completeLevel(level.id, gameState.score);
+    if (nextLevel(level.id) != undefined) document.getElementById("nextLevel").style.display = "inline";
+  }
 
   // game won by exiting via burrow
   if (type == 1) {
+    let babiesLeft = gameState.babiesLeft;
     if (babiesLeft == 0) {
       document.getElementById("status").innerHTML = "YOU RETURNED HOME WITH ALL YOUR BABIES!";
       document.getElementById("startFlavorText").innerHTML = "GREAT JOB";
@@ -450,234 +1369,205 @@ function getPerformance() {
   console.log("Geometries in Memory:", renderer.info.memory.geometries)
 }
 
-// creates baby rabbits and adds them to the scene
-function generateBabyRabbits() {
-  for (let i = 0; i < BABYRABBITS_NUM; i++) {
-    // get a random valid tile
-    let tile = getRandomValidTile();
-    // load in rabbit asset and set global rabbit variable
-    loadAsset('assets/rabbit.fbx').then((rabbit) => {
-      rabbit.scale.multiplyScalar(0.03);
-
-      let translationVec = positionToHexDict.get(tile[0])[1];
+// adds the rabbit, burrow, babies and predators to the game state at the
+// places chosen by generateLevel or set out by a hand made level
+function populateLevel(placements) {
+  let { spawn, burrow, babies, predators } = placements;
+  addEntity(gameState, RABBIT, spawn.q, spawn.r, spawn.angle != undefined ? spawn.angle : 60);
+  addEntity(gameState, BURROW, burrow.q, burrow.r, 60);
 
-      rabbit.translateX(translationVec.x);
-      rabbit.translateY(translationVec.y);
-      rabbit.translateZ(translationVec.z);
-      rabbit.tileX = tile[1];
-      rabbit.tileY = tile[2];
+  for (let tile of babies) {
+    addEntity(gameState, BABY, tile.q, tile.r);
+  }
 
-      babyRabbits.push(rabbit);
-      scene.add(rabbit);
-    })
+  // predators from hand made levels can have their own behaviour settings
+  for (let { type, q, r, behaviour } of predators) {
+    let predator = addEntity(gameState, type, q, r);
+    if (behaviour != undefined) predator.behaviour = behaviour;
   }
 }
 
-// creates bears and adds them to the scene
-function generateBears() {
-  for (let i = 0; i < BEARS_NUM; i++) {
-    // get a random valid tile
-    let tile = getRandomValidTile();
-    // load in bear asset and set global bear variable
-    loadAsset('assets/08bearFinal.fbx').then((bear) => {
-      bear.scale.multiplyScalar(0.015);
+// returns the path of the model for an entity. Predators use the model from
+// their behaviour profile.
+function entityModelPath(entity) {
+  if (entity.type == RABBIT || entity.type == BABY) return 'assets/rabbit.fbx';
+  if (entity.type == BURROW) return 'assets/star.fbx';
+  return getProfile(entity.type).model;
+}
 
-      let translationVec = positionToHexDict.get(tile[0])[1];
+// adds a copy of an entity's model to the scene. The model must already have
+// been loaded.
+function addEntityModel(entity) {
+  let mesh = assets.cloneModel(entityModelPath(entity));
+
+  if (entity.type == RABBIT) {
+    mesh.scale.multiplyScalar(0.05);
+    addEntityMesh(entity, mesh);
+  } else if (entity.type == BABY) {
+    mesh.scale.multiplyScalar(0.03);
+    addEntityMesh(entity, mesh);
+  } else if (entity.type == BURROW) {
+    // the burrow is marked by a rotating star
+    mesh.scale.multiplyScalar(0.005);
+    mesh.children[0].material.color = new Color(0xffff00);
+    addEntityMesh(entity, mesh, 1.5);
+
+    let tween = new TWEEN.Tween(mesh.rotation)
+        .to({ y: "-" + Math.PI/2}, 1000) // relative animation
+        .start();
+    tween.repeat(Infinity);
+  } else {
+    mesh.scale.multiplyScalar(getProfile(entity.type).scale);
+    addEntityMesh(entity, mesh);
+  }
+}
 
-      bear.translateX(translationVec.x);
-      bear.translateY(translationVec.y);
-      bear.translateZ(translationVec.z);
-      bear.tileX = tile[1];
-      bear.tileY = tile[2];
+// places a loaded model in the scene as the view of an entity
+function addEntityMesh(entity, mesh, yOffset = 0) {
+  mesh.position.copy(tileTopPosition(entity.q, entity.r));
+  mesh.position.y += yOffset;
+  mesh.rotation.y = facingToRotation(entity);
 
-      bears.push(bear);
-      scene.add(bear);
-    })
-  }
+  mesh.userData = { q: entity.q, r: entity.r, angle: entity.angle, yOffset };
+  mesh.visible = isShown(entity);
+  entityMeshes.set(entity.id, mesh);
+  world.add(mesh);
 }
 
-// creates foxes and adds them to the scene
-function generateFoxes() {
-  for (let i = 0; i < FOXES_NUM; i++) {
-    // get a random valid tile
-    let tile = getRandomValidTile();
-    // load in fox asset
-    loadAsset('assets/01foxFinal.fbx').then((fox) => {
-      fox.scale.multiplyScalar(0.017);
+// returns whether an entity should be drawn. Predators are hidden unless the
+// rabbit can see the tile they are on.
+function isShown(entity) {
+  return getProfile(entity.type) == undefined || visible.has(hexKey(entity.q, entity.r));
+}
 
-      let translationVec = positionToHexDict.get(tile[0])[1];
+// converts an entity's facing angle into the y rotation of its model
+function facingToRotation(entity) {
+  if (getProfile(entity.type) != undefined) return entity.angle * Math.PI / 360;
+  return Math.PI / 2 + entity.angle * Math.PI / 180;
+}
 
-      fox.translateX(translationVec.x);
-      fox.translateY(translationVec.y);
-      fox.translateZ(translationVec.z);
-      fox.tileX = tile[1];
-      fox.tileY = tile[2];
+// updates the scene and UI to match the game state. Entities that moved hop to
+// their new tile, and entities that are no longer on the board are taken out of
+// the scene. Their models are kept in case an undo brings them back.
+function syncView() {
+  for (let [id, mesh] of entityMeshes) {
+    let entity = gameState.entities.find((other) => other.id == id);
+    if (entity == undefined) {
+      world.remove(mesh);
+      continue;
+    }
+    if (mesh.parent == null) world.add(mesh);
+
+    if (mesh.userData.q != entity.q || mesh.userData.r != entity.r) {
+      let target = tileTopPosition(entity.q, entity.r);
+      target.y += mesh.userData.yOffset;
+      hopTo(mesh, target);
+      mesh.userData.q = entity.q;
+      mesh.userData.r = entity.r;
+    }
 
-      foxes.push(fox);
-      scene.add(fox);
-    })
+    if (mesh.userData.angle != entity.angle) {
+      mesh.rotation.y = facingToRotation(entity);
+      mesh.userData.angle = entity.angle;
+    }
+  }
 
+  // the rabbit explores every tile it can see from wherever it goes
+  let rabbit = getRabbit(gameState);
+  if (rabbit != undefined) {
+    visible = visibleTiles(board, rabbit, rules.sightRadius);
+    for (let key of visible) explored.add(key);
   }
+  for (let entity of gameState.entities) {
+    let mesh = entityMeshes.get(entity.id);
+    if (mesh != undefined) mesh.visible = isShown(entity);
+  }
+  shadeTerrain();
+  minimap.draw(gameState, explored, visible);
+
+  // pickups disappear once used, and come back if that is undone
+  for (let [key, prop] of propMeshes) prop.visible = !gameState.usedPickups.includes(key);
+
+  document.getElementById('hitpoints').innerHTML = gameState.lives;
+  document.getElementById('totalScore').innerHTML = gameState.score;
+  document.getElementById('babiesRemaining').innerHTML = gameState.babiesLeft;
+}
+
+// how far above the higher of its two tiles a hop goes, and how long a hop on
+// the flat takes in milliseconds. Hops take a little longer for every unit of
+// height climbed or dropped.
+const HOP_HEIGHT = 0.3;
+const HOP_TIME = 100;
+const HOP_TIME_PER_HEIGHT = 40;
+
+// animates a model jumping from its current position to the target position,
+// along an arc that clears whichever end of the hop is higher
+function hopTo(mesh, target) {
+  let start = mesh.position.clone();
+  let rise = Math.abs(target.y - start.y);
+  let height = rise / 2 + HOP_HEIGHT;
+
+  let progress = { t: 0 };
+  new TWEEN.Tween(progress)
+      .to({ t: 1 }, HOP_TIME + rise * HOP_TIME_PER_HEIGHT)
+      .onUpdate(() => {
+        mesh.position.lerpVectors(start, target, progress.t);
+        mesh.position.y += 4 * height * progress.t * (1 - progress.t);
+      })
+      .start();
 }
 
 // helper function for getting adjacent tiles
-function checkValidTile(tilePosition) {
-  return getByValue(XYtoPositionDict, tilePosition) != undefined && hardTerrain.get(tilePosition) != 1;
+function checkValidTile(tileQ, tileR) {
+  return isPassable(board, tileQ, tileR);
 }
 
 // helper visualizer function for valid tiles
 function mapValidTiles() {
-  for (let tilePosition of hardTerrain.keys()) {
-    let sphereLocation = positionToHexDict.get(tilePosition)[1];
+  for (let tile of board.tiles.values()) {
+    let sphereLocation = tileTopPosition(tile.q, tile.r);
     sphereLocation.y += 2;
 
     let geometry = new SphereGeometry(0.25, 32, 16);
 
     let material;
-    if (!checkValidTile(tilePosition)) material = new MeshBasicMaterial({ color: 0xff0000 });
+    if (tile.blocked) material = new MeshBasicMaterial({ color: 0xff0000 });
     else material = new MeshBasicMaterial({ color: 0x00ff00 });
 
     let marker = new Mesh( geometry, material );
     marker.position.x = sphereLocation.x;
     marker.position.y = sphereLocation.y;
     marker.position.z = sphereLocation.z;
-    scene.add( marker );
+    world.add( marker );
   }
 }
 
-// helper function for getting a valid random tile
-function getRandomValidTile() {
-  while (true) {
-    let i = Math.floor(MAX_DISTANCE_THRESHOLD * Math.random() - MAX_DISTANCE_THRESHOLD / 2);
-    let j = Math.floor(MAX_DISTANCE_THRESHOLD * Math.random() - MAX_DISTANCE_THRESHOLD / 2);
-
-    let tilePosition = XYtoPositionDict.get(XYto1D(i, j));
-    // keep looking for tiles until you have one that is actually on the terrain
-    if (tilePosition == undefined) continue;
-    if (!checkValidTile(tilePosition)) continue;
-
-    return [tilePosition, i, j];
-  }
-}
-
-// returns all accessible adjacent tiles
-function getAllAdjacentTiles(tileX, tileY) {
+// returns all accessible adjacent tiles as [key, angle] pairs
+function getAllAdjacentTiles(tileQ, tileR) {
   let possibleTiles = [];
-  let tilePosition;
-  let indexPosition;
-
-  tilePosition = XYtoPositionDict.get(XYto1D(tileX + 1, tileY));
-  if (checkValidTile(tilePosition)) {
-    possibleTiles.push([XYto1D(tileX + 1, tileY), 0]);
-  }
-
-  tilePosition = XYtoPositionDict.get(XYto1D(tileX - 1, tileY));
-  if (checkValidTile(tilePosition)) {
-    possibleTiles.push([XYto1D(tileX - 1, tileY), 180]);
-  }
-
-  // if y tile is even
-  if (mod(tileY, 2) == 0) {
-    // 300 degree tile
-    if (tileY < 0) indexPosition = XYto1D(tileX + 1, tileY + 1);
-    else indexPosition = XYto1D(tileX, tileY + 1);
-
-    tilePosition = XYtoPositionDict.get(indexPosition);
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push([indexPosition, 300]);
-    }
-
-    // 240 degree tile
-    if (tileY >= 0) indexPosition = XYto1D(tileX - 1, tileY + 1);
-    else indexPosition = XYto1D(tileX, tileY + 1);
-
-    tilePosition = XYtoPositionDict.get(indexPosition);
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push([indexPosition, 240]);
-    }
-
-    // 120 degree tile
-    if (tileY > 0) indexPosition = XYto1D(tileX - 1, tileY - 1);
-    else indexPosition = XYto1D(tileX, tileY - 1);
-
-    tilePosition = XYtoPositionDict.get(indexPosition);
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push([indexPosition, 120]);
-    }
-
-    // 60 degree tile
-    if (tileY <= 0) indexPosition = XYto1D(tileX + 1, tileY - 1);
-    else indexPosition = XYto1D(tileX, tileY - 1);
 
-    tilePosition = XYtoPositionDict.get(indexPosition);
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push([indexPosition, 60]);
-    }
-  } else if (mod(tileY, 2) == 1) {
-    // 300 degree tile
-    if (tileY > 0) indexPosition = XYto1D(tileX + 1, tileY + 1);
-    else indexPosition = XYto1D(tileX, tileY + 1);
-
-    tilePosition = XYtoPositionDict.get(indexPosition);
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push([indexPosition, 300]);
-    }
-
-    // 240 degree tile
-    if (tileY <= 0) indexPosition = XYto1D(tileX - 1, tileY + 1);
-    else indexPosition = XYto1D(tileX, tileY + 1);
-
-    tilePosition = XYtoPositionDict.get(indexPosition);
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push([indexPosition, 240]);
-    }
-
-    // 120 degree tile
-    if (tileY <= 0) indexPosition = XYto1D(tileX - 1, tileY - 1);
-    else indexPosition = XYto1D(tileX, tileY - 1);
-
-    tilePosition = XYtoPositionDict.get(indexPosition);
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push([indexPosition, 120]);
-    }
-
-    // 60 degree tile
-    if (tileY > 0) indexPosition = XYto1D(tileX + 1, tileY - 1);
-    else indexPosition = XYto1D(tileX, tileY - 1);
-
-    tilePosition = XYtoPositionDict.get(indexPosition);
-    if (checkValidTile(tilePosition)) {
-      possibleTiles.push([indexPosition, 60]);
+  for (let neighbour of hexNeighbours(tileQ, tileR)) {
+    if (checkValidTile(neighbour.q, neighbour.r)) {
+      possibleTiles.push([hexKey(neighbour.q, neighbour.r), neighbour.angle]);
     }
   }
   return possibleTiles;
 }
 
-// finds the tile closes in straight line distance to the rabbit
-function getClosestAdjacentTileToRabbit(allAdjacent, tileX, tileY) {
-  let minDistance = Infinity;
-  let closestTile;
-  let angle;
-
-  for (let possibleTile of allAdjacent) {
-    let tile = XYtoPositionDict.get(possibleTile[0]);
-    let rabbitPosition = XYtoPositionDict.get(XYto1D(globalRabbit.tileX, globalRabbit.tileY));
-    if (tile.distanceTo(rabbitPosition) < minDistance) {
-      closestTile = possibleTile[0];
-      angle = possibleTile[1];
-      minDistance = tile.distanceTo(rabbitPosition);
-    }
-  }
-  return [closestTile, angle];
+// works out where a predator would move next without changing the game state
+function previewPredatorMove(predator) {
+  let preview = structuredClone(gameState);
+  let copy = preview.entities.find((entity) => entity.id == predator.id);
+  return planPredatorMove(preview, copy, rules, copyRandom(rng.predators));
 }
 
-// helper function for visualizing getAllAdjacentTiles and closestAdjacentTile
+// helper function for visualizing getAllAdjacentTiles and previewPredatorMove
 function mapFoxAdjacentTiles() {
   if (pToggle == 1) {
     for (let label of foxLabels) {
       label.geometry.dispose();
       label.material.dispose();
-      scene.remove(label);
+      world.remove(label);
     }
 
     foxLabels = [];
@@ -685,25 +1575,24 @@ function mapFoxAdjacentTiles() {
     pToggle = 1;
   }
 
-  for (let fox of foxes) {
-    let tileIndices = getAllAdjacentTiles(fox.tileX, fox.tileY); // array child contains (index, angle)
-    let closestTileIndex = getClosestAdjacentTileToRabbit(tileIndices, fox.tileX, fox.tileY); // (index, angle)
+  for (let fox of getEntities(gameState, FOX)) {
+    let tileIndices = getAllAdjacentTiles(fox.q, fox.r); // array child contains (index, angle)
+    let nextMove = previewPredatorMove(fox); // (q, r, angle)
     for (let tile of tileIndices) {
-      let tilePosition = XYtoPositionDict.get(tile[0]);
-      let [xpos, ypos] = oneDtoXY(tile[0]);
+      let { q, r } = parseHexKey(tile[0]);
 
-      let sphereLocation = positionToHexDict.get(tilePosition)[1];
+      let sphereLocation = tileTopPosition(q, r);
       sphereLocation.y += 1;
 
       let geometry = new SphereGeometry(0.25, 32, 16);
       let material;
 
-      if (tile[0] == closestTileIndex[0]) {
+      if (nextMove != null && q == nextMove.q && r == nextMove.r) {
         material = new MeshBasicMaterial({ color: 0x00ff00 });
-        console.log("Closest Adjacent Tile: (X: " + xpos + ", Y: " + ypos + ")");
+        console.log("Next Step: (Q: " + q + ", R: " + r + ")");
       } else {
         material = new MeshBasicMaterial({ color: 0xff0000 });
-        console.log("Adjacent Tile: (X: " + xpos + ", Y: " + ypos + ")");
+        console.log("Adjacent Tile: (Q: " + q + ", R: " + r + ")");
       }
 
       let marker = new Mesh( geometry, material );
@@ -711,7 +1600,7 @@ function mapFoxAdjacentTiles() {
       marker.position.y = sphereLocation.y;
       marker.position.z = sphereLocation.z;
       foxLabels.push(marker);
-      scene.add(marker);
+      world.add(marker);
     }
   }
 }
@@ -720,539 +1609,177 @@ function mapFoxAdjacentTiles() {
 function mapHexCoords() {
   if (mToggle == 0) {
     mToggle = 1;
-    for (let index of XYtoPositionDict.keys()) {
-      let [tileX, tileY] = oneDtoXY(index);
-      console.log("oneDtoXY(" + index +") = " + oneDtoXY(index)[0] + ", " + oneDtoXY(index)[1]);
+    for (let { q, r } of board.tiles.values()) {
       let tileDiv = document.createElement( 'div' );
   		tileDiv.className = 'label';
-  		tileDiv.textContent = 'Index: ' + index + ' ( X: ' + tileX + ', Y: ' + tileY + ' )';
+  		tileDiv.textContent = 'Q: ' + q + ', R: ' + r;
   		tileDiv.style.marginTop = '-1em';
 
-      let hexPosition = positionToHexDict.get(XYtoPositionDict.get(index))[1];
+      let hexPosition = tileTopPosition(q, r);
   		let tileLabel = new CSS2DObject( tileDiv );
   		tileLabel.position.set(hexPosition.x, hexPosition.y + 1, hexPosition.z);
 
       labels.push(tileLabel);
-  		scene.add(tileLabel);
+  		world.add(tileLabel);
   		tileLabel.layers.set( 0 );
     }
   } else {
     for (let label of labels) {
-      scene.remove(label);
+      world.remove(label);
       mToggle = 0;
     }
     labels = [];
   }
 }
 
-// wolves move randomly to a neighboring tile
-function updateFoxes() {
-  //delta = clock.getDelta();
-  for (let fox of foxes) {
-    let allAdjacent = getAllAdjacentTiles(fox.tileX, fox.tileY); //[index, angle]
-    let closestAdjacentTile = getClosestAdjacentTileToRabbit(allAdjacent, fox.tileX, fox.tileY); //[index, angle]
-
-    if (XYtoPositionDict.get(closestAdjacentTile[0]) == undefined) continue;
-    let translationVec = positionToHexDict.get(XYtoPositionDict.get(closestAdjacentTile[0]))[1];
-    let middlePosition = new Vector3(translationVec.x * .75 + fox.position.x * .25,
-                                     translationVec.y + 0.3,
-                                     translationVec.z * .75 + fox.position.z * .25);
-
-    let foxJumpUp = new TWEEN.Tween(fox.position)
-        .to(middlePosition, 75)
-        .easing(TWEEN.Easing.Quadratic.Out);
-    let foxFallDown = new TWEEN.Tween(fox.position)
-        .to(translationVec, 25)
-        .easing(TWEEN.Easing.Quadratic.In);
-
-    // chain and start
-    foxJumpUp.chain(foxFallDown);
-    foxJumpUp.start();
-
-    [fox.tileX, fox.tileY] = oneDtoXY(closestAdjacentTile[0]);
-    fox.rotation.y = closestAdjacentTile[1] * Math.PI / 360;
-  }
+// returns the world position of the centre of the top face of a tile
+function tileTopPosition(tileQ, tileR) {
+  let position = hexToWorld(tileQ, tileR);
+  return new Vector3(position.x, getTile(board, tileQ, tileR).height, position.z);
 }
 
-// updates bears to move with foxes, will merge these functions
-function updateBears() {
-  //delta = clock.getDelta();
-  for (let bear of bears) {
-    let allAdjacent = getAllAdjacentTiles(bear.tileX, bear.tileY);
-    let closestAdjacentTile = getClosestAdjacentTileToRabbit(allAdjacent, bear.tileX, bear.tileY);
+// creates the hexagonal prism every tile is drawn with. It is one unit tall
+// with its base at y = 0, so each tile's instance is stretched to its height.
+function hexGeometry() {
+  let geo = new CylinderGeometry(1, 1, 1, 6, 1, false);
+  geo.translate(0, 0.5, 0);
 
-    if (XYtoPositionDict.get(closestAdjacentTile[0]) == undefined) continue;
-
-    let translationVec = positionToHexDict.get(XYtoPositionDict.get(closestAdjacentTile[0]))[1];
+  return geo;
+}
 
-    let middlePosition = new Vector3(translationVec.x * .75 + bear.position.x * .25,
-                                     translationVec.y + 0.3,
-                                     translationVec.z * .75 + bear.position.z * .25);
+// the tiles of each terrain type, in the order they are drawn in the terrain's
+// instanced mesh
+let terrainTiles;
 
-    let bearJumpUp = new TWEEN.Tween(bear.position)
-        .to(middlePosition, 75)
-        .easing(TWEEN.Easing.Quadratic.Out);
-    let bearFallDown = new TWEEN.Tween(bear.position)
-        .to(translationVec, 25)
-        .easing(TWEEN.Easing.Quadratic.In);
+// where each tile is drawn, keyed by tile key, as the instanced mesh and the
+// index of the tile's instance in it
+let tileInstances = new Map();
 
-    // chain and start
-    bearJumpUp.chain(bearFallDown);
-    bearJumpUp.start();
+// scratch objects for writing instance matrices and colours
+const instanceMatrix = new Matrix4();
+const instanceColour = new Color();
 
-    [bear.tileX, bear.tileY] = oneDtoXY(closestAdjacentTile[0]);
-    bear.rotation.y = closestAdjacentTile[1] * Math.PI / 360;
-  }
+// forgets the tiles of the last map before a new one is built
+function resetTerrainGeometry() {
+  terrainTiles = {};
+  for (let type of TERRAIN_TYPES) terrainTiles[type.name] = [];
+  tileInstances = new Map();
 }
 
-// Baby rabbits disappear upon contact with rabbit
-function updateBabyRabbits() {
-  for (let babyRabbit of babyRabbits) {
-    if ((babyRabbit.tileX == globalRabbit.tileX) && (babyRabbit.tileY == globalRabbit.tileY)) {
-      scene.remove(babyRabbit);
-      babiesLeft--;
-      updateScore(1);
-
-      document.getElementById("babiesRemaining").innerHTML = "" + babiesLeft;
-      document.getElementById("status").innerHTML = "BABY LOCATED";
-    }
-  }
+// adds a board tile to the tiles drawn for its terrain type
+function hex(tile) {
+  if (tile.terrain in terrainTiles) terrainTiles[tile.terrain].push(tile);
 }
 
-// changes direction rabbit is facing with the arrow keys
-function updateRabbitPerspective() {
-  let prevX = globalRabbit.tileX;
-  let prevY = globalRabbit.tileY;
-  if (keyState == "ArrowLeft") {
-    //camera.rotateY(1.047);
-    globalRabbit.rotateY(Math.PI / 3);
-    globalRabbit.angleMetric = mod(globalRabbit.angleMetric + 60, 360);
-  }
-  if (keyState == "ArrowRight") {
-    //camera.rotateY(-1.047);
-    globalRabbit.rotateY(-Math.PI / 3);
-    globalRabbit.angleMetric = mod(globalRabbit.angleMetric - 60, 360);
-  }
-  console.log("Rabbit Angle: " + globalRabbit.angleMetric);
+// returns the path of the model for the prop on a tile
+function propPath(tile) {
+  return 'assets/' + tile.prop + '.fbx';
 }
 
-// moves rabbit and also detects various scoring events
-function moveRabbitUponSpacebar() {
-  let prevX = globalRabbit.tileX;
-  let prevY = globalRabbit.tileY;
+// adds the terrain assets recorded on the board to the scene. Their models
+// must already have been loaded, and any that couldn't be are skipped.
+function placeProps() {
+  for (let tile of board.tiles.values()) {
+    if (tile.prop == null) continue;
 
-  if (keyState != " ") return;
+    let prop = assets.cloneModel(propPath(tile));
+    if (prop == null) continue;
 
-  if (mod(globalRabbit.angleMetric, 360) == 0) {
-    globalRabbit.tileX += 1;
-  } else if (mod(globalRabbit.angleMetric + 180, 360) == 0) {
-    globalRabbit.tileX -= 1;
-  }
-  // if y tile is even
-  else if (mod(prevY, 2) == 0) {
-    if (mod(globalRabbit.angleMetric + 60, 360) == 0) {
-      if (prevY < 0) globalRabbit.tileX += 1;
-      globalRabbit.tileY += 1;
-    }
-    if (mod(globalRabbit.angleMetric + 120, 360) == 0) {
-      globalRabbit.tileY += 1;
-      if (prevY >= 0) globalRabbit.tileX -= 1;
-    }
-    if (mod(globalRabbit.angleMetric + 240, 360) == 0) {
-      globalRabbit.tileY -= 1;
-      if (prevY > 0) globalRabbit.tileX -= 1;
-    }
-    if (mod(globalRabbit.angleMetric + 300, 360) == 0) {
-      if (prevY <= 0) globalRabbit.tileX += 1;
-      globalRabbit.tileY -= 1;
-    }
-  } else if (mod(prevY, 2) == 1) {
-    if (mod(globalRabbit.angleMetric + 60, 360) == 0) {
-      if (prevY > 0) globalRabbit.tileX += 1;
-      globalRabbit.tileY += 1;
-    }
-    if (mod(globalRabbit.angleMetric + 120, 360) == 0) {
-      if (prevY <= 0) globalRabbit.tileX -= 1;
-      globalRabbit.tileY += 1;
-    }
-    if (mod(globalRabbit.angleMetric + 240, 360) == 0) {
-      if (prevY <= 0) globalRabbit.tileX -= 1;
-      globalRabbit.tileY -= 1;
-    }
-    if (mod(globalRabbit.angleMetric + 300, 360) == 0) {
-      if (prevY > 0)  globalRabbit.tileX += 1;
-      globalRabbit.tileY -= 1;
-    }
-  }
+    prop.scale.multiplyScalar(PROPS[tile.prop].scale);
 
-  let tilePosition = XYtoPositionDict.get(XYto1D(globalRabbit.tileX, globalRabbit.tileY));
+    let translationVec = tileTopPosition(tile.q, tile.r);
+    prop.translateX(translationVec.x);
+    prop.translateY(translationVec.y);
+    prop.translateZ(translationVec.z);
+    prop.rotateY(tile.propRotation);
 
-  // if the tile is out of bounds or has hard terrain, don't move.
-  if (!checkValidTile(tilePosition)) {
-    globalRabbit.tileX = prevX;
-    globalRabbit.tileY = prevY;
-    document.getElementById("status").innerHTML = "YOU CAN'T GO THERE";
-    return;
+    let key = hexKey(tile.q, tile.r);
+    prop.visible = !gameState.usedPickups.includes(key);
+    propMeshes.set(key, prop);
+    world.add(prop);
   }
-
-  document.getElementById("status").innerHTML = "YOU'RE DOING GREAT";
-
-  let translationVec = positionToHexDict.get(tilePosition)[1];
-
-  let middlePosition = new Vector3(translationVec.x * .75 + globalRabbit.position.x * .25,
-                                   translationVec.y + 0.3,
-                                   translationVec.z * .75 + globalRabbit.position.z * .25);
-
-  let jumpUp = new TWEEN.Tween(globalRabbit.position)
-      .to(middlePosition, 75)
-      .easing(TWEEN.Easing.Quadratic.Out);
-  let fallDown = new TWEEN.Tween(globalRabbit.position)
-      .to(translationVec, 25)
-      .easing(TWEEN.Easing.Quadratic.In);
-
-  // chain and start
-  jumpUp.chain(fallDown);
-  jumpUp.start();
-
-  // increment turn number and score
-  if (turnNumber % 4 == 0) updateScore(2);
-
-  updateBabyRabbits();
 }
 
-// helper function for modding in moveRabbit function
-function mod(n, m) {
-  return ((n % m) + m) % m;
-}
-
-// collision check
-function checkCollisions() {
-  for (let fox of foxes) {
-    if ((globalRabbit.position.x == fox.position.x) && (globalRabbit.position.z == fox.position.z)) {
-      updateLives(2);
-      updateScore(-1);
-    }
-  }
-
-  for (let bear of bears) {
-    if ((globalRabbit.position.x == bear.position.x) && (globalRabbit.position.z == bear.position.z)) {
-      updateLives(4);
-      updateScore(-2);
-    }
-  }
-
-  if ((globalRabbit.position.x == globalStar.position.x) && (globalRabbit.position.z == globalStar.position.z)) {
-    updateScore(10);
-    endGame(1);
-  }
-}
+// returns an instanced mesh drawing the given tiles, all textured with map.
+// Each tile is one instance, so tiles can be moved or recoloured one at a time
+// without touching the rest of the map.
+function hexMesh(geo, map, tiles) {
+  let mat = new MeshPhysicalMaterial({
+    envMap: envmap,
+    envMapIntensity: 0.135,
+    flatShading: true,
+    map
+  });
 
-// updates rabbit lives
-function updateLives(type) {
-  if (type == 4) {
-    lives -= 4;
-    document.getElementById('hitpoints').innerHTML = lives;
-  } else if (type == 2) {
-    lives -= 2;
-    document.getElementById('hitpoints').innerHTML = lives;
-  }
+  let mesh = new InstancedMesh(geo, mat, tiles.length);
+  mesh.castShadow = true; //default is false
+  mesh.receiveShadow = true; //default
+  // the bounds of the prism don't cover the instances spread across the map
+  mesh.frustumCulled = false;
+
+  tiles.forEach((tile, index) => {
+    let key = hexKey(tile.q, tile.r);
+    tileInstances.set(key, { mesh, index });
+    placeTile(tile);
+    shadeTile(key, 1);
+  });
 
-  if (lives <= 0){
-    // end the game
-    endGame(-1);
-  }
+  return mesh;
 }
 
-// overloaded update score for baby rabbit scoring
-function updateScore(scoreType) {
-  let scoreString = "";
-  // baby rabbit acquired
-  if (scoreType == 1) {
-    score += 10;
-    scoreString += score;
-    document.getElementById('totalScore').innerHTML = scoreString;
-  }
-
-  // score for surviving a turn
-  if (scoreType == 2) {
-    // rewarding turns remaining w.r.t maxRewardedTurns
-    let maxRewardedTurns = Math.floor(LENGTH * LENGTH * 0.05);
-    if (turnNumber < maxRewardedTurns) score += 1;
-    scoreString += score;
-    document.getElementById('totalScore').innerHTML = scoreString;
-  }
-
-  // score for ending the game
-  if (scoreType == 10) {
-    // rewarding unused turns
-    let maxRewardedTurns = Math.floor(LENGTH * LENGTH * 0.05);
-    if (turnNumber < maxRewardedTurns) score += 2 * (maxRewardedTurns - turnNumber);
-    scoreString += score;
-    document.getElementById('totalScore').innerHTML = scoreString;
-  }
+// returns an instanced mesh drawing the water in each river tile, as a prism
+// filling the river bed up to just below the banks
+function riverMesh(geo, normalMap, tiles) {
+  let mat = new MeshPhysicalMaterial({
+    color: new Color("#3a7bd5"),
+    envMap: envmap,
+    envMapIntensity: 0.5,
+    roughness: 0.1,
+    transparent: true,
+    opacity: 0.8,
+    normalMap,
+  });
 
-  // fox catches rabbit
-  if (scoreType == -1) {
-    // lose points for getting caught
-    score -= 5
-    scoreString += score;
-    document.getElementById('totalScore').innerHTML = scoreString;
-  }
+  let mesh = new InstancedMesh(geo, mat, tiles.length);
+  mesh.receiveShadow = true;
+  mesh.frustumCulled = false;
 
-  // fox catches rabbit
-  if (scoreType == -2) {
-    // lose points for getting caught
-    score -= 10
-    scoreString += score;
-    document.getElementById('totalScore').innerHTML = scoreString;
-  }
-}
+  tiles.forEach((tile, index) => {
+    let position = hexToWorld(tile.q, tile.r);
+    instanceMatrix.makeScale(1, RIVER_DEPTH * 0.75, 1).setPosition(position.x, tile.height, position.z);
+    mesh.setMatrixAt(index, instanceMatrix);
+  });
 
-// converts x,y coordinate to 1D (dumb implementation)
-function XYto1D(x, y) {
-  return (x + LENGTH) * 1000 + y + LENGTH;
+  return mesh;
 }
 
-// converts 1D coordinate to tileX, tileY (dumb implementation)
-function oneDtoXY(key) {
-  let xCoord = Math.floor(key / 1000) - LENGTH;
-  let yCoord = key % 1000 - LENGTH;
-  return [xCoord, yCoord];
-}
+// moves and stretches a tile's instance to match the tile's position and
+// height. Call this again after a tile's height changes.
+function placeTile(tile) {
+  let { mesh, index } = tileInstances.get(hexKey(tile.q, tile.r));
+  let position = hexToWorld(tile.q, tile.r);
 
-// converts index numbers for X and Y into proper coordinates for hexagons
-// actually adds the hexagons edge to edge, meaning the hexagons wiggle around
-// a little bit when being added.
-function tileToPosition(tileX, tileY) {
-  return new Vector2((tileX + (tileY % 2) * 0.5) * 1.77, tileY * 1.535);
+  instanceMatrix.makeScale(1, tile.height, 1).setPosition(position.x, 0, position.z);
+  mesh.setMatrixAt(index, instanceMatrix);
+  mesh.instanceMatrix.needsUpdate = true;
 }
 
-// creates a single hexagonal prism object at the given height and position
-// this is a helper function to the hex function below. It creates the actual
-// object but hex calls it and then skins the object appropriately.
-function hexGeometry(height, tilePosition) {
-  let geo = new CylinderGeometry(1, 1, height, 6, 1, false);
-  geo.translate(tilePosition.x, height * 0.5, tilePosition.y);
-
-  return geo;
+// sets how brightly a tile is drawn, from 0 for black up to 1 for its texture's
+// own colours
+function shadeTile(key, shade) {
+  let { mesh, index } = tileInstances.get(key);
+  mesh.setColorAt(index, instanceColour.setScalar(shade));
+  mesh.instanceColor.needsUpdate = true;
 }
 
-// sets thresholds for texturing hexes according to height
-const STONE_HEIGHT = MAX_HEIGHT * 0.8;
-const DIRT_HEIGHT = MAX_HEIGHT * 0.65;
-const GRASS_HEIGHT = MAX_HEIGHT * 0.35;
-const SAND_HEIGHT = MAX_HEIGHT * WATER_HEIGHT + 0.01;
-const GRAVEL_HEIGHT = MAX_HEIGHT * WATER_HEIGHT * 0.66;
-const DIRT2_HEIGHT = MAX_HEIGHT * 0;
-
-// instantiates geometries storing aggregate hex groupings for each terrain
-let stoneGeo = new BoxGeometry(0, 0, 0);
-let dirtGeo = new BoxGeometry(0, 0, 0);
-let dirt2Geo = new BoxGeometry(0, 0, 0);
-let gravelGeo = new BoxGeometry(0, 0, 0);
-let sandGeo = new BoxGeometry(0, 0, 0);
-let grassGeo = new BoxGeometry(0, 0, 0);
-
-// creates a hex at a given height and position and adds them to the proper
-// aggregate geometry that is defined above. Uses aforementioned thresholds.
-function hex(height, tilePosition) {
-  let geo = hexGeometry(height, tilePosition);
-  positionToHexDict.set(tilePosition, [geo, new Vector3(tilePosition.x, height, tilePosition.y)]);
-  if (height > STONE_HEIGHT) {
-    stoneGeo = mergeBufferGeometries([geo, stoneGeo]);
-
-    // if tile is valid and not on rabbit spawn point load in a terrain asset
-    if (checkValidTile(tilePosition) && (tilePosition.x != 0 && tilePosition.y != 0)) {
-      let randomValue = Math.random();
-      if (randomValue > 0.93) {
-        loadAsset('assets/PP_Rock_Moss_Grown_09.fbx').then((rock) => {
-          rock.scale.multiplyScalar(0.004);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          rock.translateX(translationVec.x);
-          rock.translateY(translationVec.y);
-          rock.translateZ(translationVec.z);
-          rock.rotateY(Math.random() * Math.PI * 2);
-
-          hardTerrain.set(tilePosition, 1);
-
-          scene.add(rock);
-        })
-      }
-    }
-
-  } else if (height > DIRT_HEIGHT) {
-    dirtGeo = mergeBufferGeometries([geo, dirtGeo]);
-
-    // if tile is valid and not on rabbit spawn point load in a terrain asset
-    if (checkValidTile(tilePosition) && (tilePosition.x != 0 && tilePosition.y != 0)) {
-      let randomValue = Math.random();
-      if (randomValue > 0.93) {
-        loadAsset('assets/PP_Mushroom_Fantasy_Purple_08.fbx').then((shroom) => {
-          shroom.scale.multiplyScalar(0.08);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          shroom.translateX(translationVec.x);
-          shroom.translateY(translationVec.y);
-          shroom.translateZ(translationVec.z);
-          shroom.rotateY(Math.random() * Math.PI * 2);
-
-          scene.add(shroom);
-        })
-      } else if (randomValue > 0.86) {
-        loadAsset('assets/PP_Mushroom_Fantasy_Orange_09.fbx').then((shroom) => {
-          shroom.scale.multiplyScalar(0.04);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          shroom.translateX(translationVec.x);
-          shroom.translateY(translationVec.y);
-          shroom.translateZ(translationVec.z);
-          shroom.rotateY(Math.random() * Math.PI * 2);
-
-          scene.add(shroom);
-        })
-      }
-    }
-
-  } else if (height > GRASS_HEIGHT) {
-    grassGeo = mergeBufferGeometries([geo, grassGeo]);
-
-    // if tile is valid and not on rabbit spawn point load in a terrain asset
-    if (checkValidTile(tilePosition) && (tilePosition.x != 0 && tilePosition.y != 0)) {
-      let randomValue = Math.random();
-      if (randomValue > 0.98) {
-        loadAsset('assets/PP_Birch_Tree_05.fbx').then((tree) => {
-          tree.scale.multiplyScalar(0.015);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          tree.translateX(translationVec.x);
-          tree.translateY(translationVec.y);
-          tree.translateZ(translationVec.z);
-          tree.rotateY(Math.random() * Math.PI * 2);
-
-          hardTerrain.set(tilePosition, 1);
-
-          scene.add(tree);
-        })
-      } else if (randomValue > 0.96) {
-        loadAsset('assets/PP_Tree_02.fbx').then((tree) => {
-          tree.scale.multiplyScalar(0.015);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          tree.translateX(translationVec.x);
-          tree.translateY(translationVec.y);
-          tree.translateZ(translationVec.z);
-          tree.rotateY(Math.random() * Math.PI * 2);
-
-          hardTerrain.set(tilePosition, 1);
-
-          scene.add(tree);
-        })
-      } else if (randomValue > 0.91) {
-        loadAsset('assets/PP_Hyacinth_04.fbx').then((flower) => {
-          flower.scale.multiplyScalar(0.05);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          flower.translateX(translationVec.x);
-          flower.translateY(translationVec.y);
-          flower.translateZ(translationVec.z);
-          flower.rotateY(Math.random() * Math.PI * 2);
-
-          scene.add(flower);
-        })
-      } else if (randomValue > 0.83) {
-        loadAsset('assets/PP_Grass_11.fbx').then((grass) => {
-          grass.scale.multiplyScalar(0.05);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          grass.translateX(translationVec.x);
-          grass.translateY(translationVec.y);
-          grass.translateZ(translationVec.z);
-          grass.rotateY(Math.random() * Math.PI * 2);
-
-          scene.add(grass);
-        })
-      } else if (randomValue > 0.88) {
-        loadAsset('assets/PP_Rock_Pile_Forest_Moss_05.fbx').then((rock) => {
-          rock.scale.multiplyScalar(0.004);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          rock.translateX(translationVec.x);
-          rock.translateY(translationVec.y);
-          rock.translateZ(translationVec.z);
-          rock.rotateY(Math.random() * Math.PI * 2);
-
-          hardTerrain.set(tilePosition, 1);
-
-          scene.add(rock);
-        })
-      } else if (randomValue > 0.80) {
-        loadAsset('assets/PP_Grass_15.fbx').then((grass) => {
-          grass.scale.multiplyScalar(0.05);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          grass.translateX(translationVec.x);
-          grass.translateY(translationVec.y);
-          grass.translateZ(translationVec.z);
-          grass.rotateY(Math.random() * Math.PI * 2);
-
-          scene.add(grass);
-        })
-      }
-    }
-
-  } else if (height > SAND_HEIGHT) {
-    sandGeo = mergeBufferGeometries([geo, sandGeo]);
+// dims the tiles the rabbit can't see, and dims the ones it has never seen
+// even more
+function shadeTerrain() {
+  for (let key of tileInstances.keys()) {
+    let shade = TILE_SHADES.unexplored;
+    if (visible.has(key)) shade = TILE_SHADES.visible;
+    else if (explored.has(key)) shade = TILE_SHADES.explored;
 
-    // if tile is valid and not on rabbit spawn point load in a terrain asset
-    if (checkValidTile(tilePosition) && (tilePosition.x != 0 && tilePosition.y != 0)) {
-      let randomValue = Math.random();
-      if (randomValue > 0.94) {
-        loadAsset('assets/PP_Rock_Moss_Grown_11.fbx').then((rock) => {
-          rock.scale.multiplyScalar(0.004);
-
-          let translationVec = positionToHexDict.get(tilePosition)[1];
-          rock.translateX(translationVec.x);
-          rock.translateY(translationVec.y);
-          rock.translateZ(translationVec.z);
-          rock.rotateY(Math.random() * Math.PI * 2);
-
-          hardTerrain.set(tilePosition, 1);
-
-          scene.add(rock);
-        })
-      }
-    }
-
-  } else if (height > GRAVEL_HEIGHT) {
-    gravelGeo = mergeBufferGeometries([geo, gravelGeo]);
-  } else if (height > DIRT2_HEIGHT) {
-    dirt2Geo = mergeBufferGeometries([geo, dirt2Geo]);
+    shadeTile(key, shade);
   }
 }
-
-// helper function for traversing Map by value
-function getByValue(map, searchValue) {
-  for (let [key, value] of map.entries()) {
-    if (value === searchValue)
-      return key;
-  }
-  return undefined;
-}
-
-// used to return the total aggregate geometry that is rendered by the renderer.
-// this is done so that the GPU only has one mesh to constantly update.
-function hexMesh(geo, map) {
-  let mat = new MeshPhysicalMaterial({
-    envMap: envmap,
-    envMapIntensity: 0.135,
-    flatShading: true,
-    map
-  });
-
-  let mesh = new Mesh(geo, mat);
-  mesh.castShadow = true; //default is false
-  mesh.receiveShadow = true; //default
-
-  return mesh;
-}
@@ -0,0 +1,355 @@
+// player input. Keys and gamepad buttons are mapped to named actions, so the
+// rest of the game only deals with actions and players can rebind keys from the
+// settings menu. Bindings are kept in local storage.
+//
+// Gamepads follow the standard layout: the d-pad or left stick picks which of
+// the six hex directions the rabbit faces, relative to the camera, and the face
+// buttons jump and undo. Without a gamepad to hand, a keyboard stand-in can be
+// switched on in the settings menu, which drives the same code from the keys in
+// KEYBOARD_GAMEPAD.
+
+import { mod } from './hexgrid.js';
+
+// every action that can be bound, in the order the settings menu lists them.
+// Actions that repeat fire again while their key is held down. Direct actions
+// hop straight in one of the six hex directions, and only work while direct
+// movement keys are switched on in the settings.
+export const INPUT_ACTIONS = [
+  { name: "rotateLeft", label: "TURN LEFT", repeats: true },
+  { name: "rotateRight", label: "TURN RIGHT", repeats: true },
+  { name: "jump", label: "JUMP", repeats: true },
+  { name: "step0", label: "HOP EAST", angle: 0, direct: true, repeats: true },
+  { name: "step60", label: "HOP NORTH EAST", angle: 60, direct: true, repeats: true },
+  { name: "step120", label: "HOP NORTH WEST", angle: 120, direct: true, repeats: true },
+  { name: "step180", label: "HOP WEST", angle: 180, direct: true, repeats: true },
+  { name: "step240", label: "HOP SOUTH WEST", angle: 240, direct: true, repeats: true },
+  { name: "step300", label: "HOP SOUTH EAST", angle: 300, direct: true, repeats: true },
+  { name: "undo", label: "UNDO", repeats: true },
+  { name: "pause", label: "PAUSE" },
+  { name: "camera", label: "CAMERA MODE" },
+  { name: "recentre", label: "RE-CENTRE CAMERA" },
+  { name: "debugPerformance", label: "DEBUG INFO" },
+  { name: "debugCoords", label: "TILE COORDINATES" },
+];
+
+// keys bound to each action until the player changes them. Keys are the values
+// of KeyboardEvent.key, with letters in lower case.
+export const DEFAULT_BINDINGS = {
+  rotateLeft: ["ArrowLeft"],
+  rotateRight: ["ArrowRight"],
+  jump: [" "],
+  step0: ["d"],
+  step60: ["e"],
+  step120: ["q"],
+  step180: ["a"],
+  step240: ["z"],
+  step300: ["c"],
+  undo: ["u"],
+  pause: ["Escape"],
+  camera: ["v"],
+  recentre: ["r"],
+  debugPerformance: ["p"],
+  debugCoords: ["m"],
+};
+
+// gamepad buttons for each action, using the standard gamepad layout
+const GAMEPAD_BUTTONS = {
+  jump: [0],
+  undo: [1],
+  recentre: [2],
+  camera: [3],
+  pause: [9],
+};
+
+// d-pad buttons in the standard layout and the way each pushes the stick
+const DPAD = {
+  12: { x: 0, y: -1 },
+  13: { x: 0, y: 1 },
+  14: { x: -1, y: 0 },
+  15: { x: 1, y: 0 },
+};
+
+// how far the stick has to be pushed before it picks a direction
+const DEADZONE = 0.5;
+
+// keys that drive the keyboard stand-in for a gamepad. The stick keys push the
+// left stick and the button keys press the standard buttons.
+export const KEYBOARD_GAMEPAD = {
+  stick: {
+    i: { x: 0, y: -1 },
+    k: { x: 0, y: 1 },
+    j: { x: -1, y: 0 },
+    l: { x: 1, y: 0 },
+  },
+  buttons: {
+    o: 0,
+    n: 1,
+    h: 9,
+  },
+};
+
+// local storage key the settings are stored under
+const SETTINGS_KEY = "rabbitRescue.input";
+
+// names shown for keys whose KeyboardEvent.key doesn't read well
+const KEY_NAMES = {
+  " ": "SPACE",
+  ArrowLeft: "LEFT",
+  ArrowRight: "RIGHT",
+  ArrowUp: "UP",
+  ArrowDown: "DOWN",
+  Escape: "ESC",
+};
+
+// returns the key from a keyboard event the way bindings store it, so that
+// shift and caps lock don't change which action a letter is bound to
+export function normalizeKey(key) {
+  return key.length == 1 ? key.toLowerCase() : key;
+}
+
+// returns the name to show for a key in the settings menu
+export function keyName(key) {
+  return KEY_NAMES[key] || key.toUpperCase();
+}
+
+// converts a stick position into the hex angle the rabbit should face, or null
+// if the stick is within the deadzone. Up on the stick is away from the camera,
+// and azimuth is the camera's angle around the map in radians, as given by
+// OrbitControls.getAzimuthalAngle.
+export function stickToAngle(x, y, azimuth = 0) {
+  if (Math.hypot(x, y) < DEADZONE) return null;
+
+  // the stick's direction on the ground in world x and z
+  let worldX = x * Math.cos(azimuth) + y * Math.sin(azimuth);
+  let worldZ = -x * Math.sin(azimuth) + y * Math.cos(azimuth);
+
+  // hex angles go counterclockwise from +x looking down, which is towards -z
+  let degrees = Math.atan2(-worldZ, worldX) * 180 / Math.PI;
+  return mod(Math.round(degrees / 60) * 60, 360);
+}
+
+// reads the saved settings, falling back to the defaults for anything missing
+function loadSettings(storage) {
+  let saved = {};
+  try {
+    saved = JSON.parse(storage.getItem(SETTINGS_KEY)) || {};
+  } catch (error) {
+    saved = {};
+  }
+
+  return {
+    bindings: { ...structuredClone(DEFAULT_BINDINGS), ...saved.bindings },
+    keyboardGamepad: saved.keyboardGamepad == true,
+    directKeys: saved.directKeys == true,
+  };
+}
+
+// creates the input layer and starts listening for keys.
+//
+// options:
+//   storage  where settings are kept, local storage unless another is given
+//   target   element listening for keys, the document unless another is given
+//   azimuth  function returning the camera's angle around the map, used to
+//            make gamepad directions relative to the camera
+//
+// events, each passed an object with the details:
+//   <action>  any of the INPUT_ACTIONS was triggered. Direct actions pass the
+//             angle to hop in.
+//   face      a gamepad picked a direction for the rabbit, given as angle
+export function createInput(options = {}) {
+  let {
+    storage = globalThis.localStorage,
+    target = document,
+    azimuth = () => 0,
+  } = options;
+
+  let settings = loadSettings(storage);
+  let listeners = new Map();
+
+  // callback waiting for the next key press, used while rebinding
+  let capture = null;
+
+  // state of the keyboard stand-in, and what every gamepad was doing last
+  // frame so presses are only reported once
+  let keyboardPad = { id: "keyboard", index: -1, axes: [0, 0], buttons: [] };
+  let heldKeys = new Set();
+  let previous = new Map();
+
+  function emit(type, event = {}) {
+    event.type = type;
+    for (let listener of listeners.get(type) || []) listener(event);
+  }
+
+  function save() {
+    storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  }
+
+  // returns the action bound to a key, or undefined. Direct actions are
+  // skipped unless direct movement keys are switched on.
+  function actionForKey(key) {
+    return INPUT_ACTIONS.find((action) => {
+      if (action.direct && !settings.directKeys) return false;
+      return settings.bindings[action.name].includes(key);
+    });
+  }
+
+  // updates the keyboard stand-in from the keys being held
+  function updateKeyboardPad() {
+    let x = 0;
+    let y = 0;
+    for (let key of heldKeys) {
+      let push = KEYBOARD_GAMEPAD.stick[key];
+      if (push != undefined) {
+        x += push.x;
+        y += push.y;
+      }
+    }
+    keyboardPad.axes = [x, y];
+    keyboardPad.buttons = [];
+    for (let key in KEYBOARD_GAMEPAD.buttons) {
+      keyboardPad.buttons[KEYBOARD_GAMEPAD.buttons[key]] = { pressed: heldKeys.has(key) };
+    }
+  }
+
+  // whether a key is used by the keyboard stand-in while it is switched on
+  function isKeyboardPadKey(key) {
+    return settings.keyboardGamepad &&
+           (key in KEYBOARD_GAMEPAD.stick || key in KEYBOARD_GAMEPAD.buttons);
+  }
+
+  // reports new button presses and changes of direction on a gamepad
+  function pollGamepad(pad) {
+    let pressed = pad.buttons.map((button) => button != undefined && button.pressed);
+    let last = previous.get(pad.id + pad.index) || { pressed: [], angle: null };
+
+    for (let action in GAMEPAD_BUTTONS) {
+      if (GAMEPAD_BUTTONS[action].some((button) => pressed[button] && !last.pressed[button])) {
+        emit(action);
+      }
+    }
+
+    let x = pad.axes[0] || 0;
+    let y = pad.axes[1] || 0;
+    for (let button in DPAD) {
+      if (pressed[button]) {
+        x += DPAD[button].x;
+        y += DPAD[button].y;
+      }
+    }
+    let angle = stickToAngle(x, y, azimuth());
+    if (angle != null && angle != last.angle) emit("face", { angle });
+
+    previous.set(pad.id + pad.index, { pressed, angle });
+  }
+
+  target.addEventListener("keydown", function(event) {
+    // typing into the seed box and other fields isn't game input
+    if (event.target.tagName == "INPUT") return;
+
+    let key = normalizeKey(event.key);
+    if (capture != null) {
+      event.preventDefault();
+      let callback = capture;
+      capture = null;
+      callback(key);
+      return;
+    }
+
+    if (isKeyboardPadKey(key)) {
+      heldKeys.add(key);
+      updateKeyboardPad();
+      return;
+    }
+
+    let action = actionForKey(key);
+    if (action == undefined) return;
+
+    // keep keys the game uses from scrolling the page
+    event.preventDefault();
+    if (!event.repeat || action.repeats) emit(action.name, { angle: action.angle });
+  });
+
+  target.addEventListener("keyup", function(event) {
+    let key = normalizeKey(event.key);
+    if (heldKeys.delete(key)) updateKeyboardPad();
+  });
+
+  return {
+    // subscribes to an action, returning a function that unsubscribes again
+    on(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, []);
+      listeners.get(type).push(listener);
+      return () => {
+        listeners.set(type, listeners.get(type).filter((other) => other != listener));
+      };
+    },
+
+    // polls connected gamepads, and the keyboard stand-in if it is switched
+    // on. Call this once a frame.
+    update() {
+      let pads = [];
+      if (typeof navigator != "undefined" && navigator.getGamepads != undefined) {
+        pads = [...navigator.getGamepads()].filter((pad) => pad != null);
+      }
+      if (settings.keyboardGamepad) pads.push(keyboardPad);
+
+      for (let pad of pads) pollGamepad(pad);
+    },
+
+    // returns the keys bound to each action
+    bindings() {
+      return structuredClone(settings.bindings);
+    },
+
+    // binds an action to a single key. The key is taken off any action it was
+    // bound to before, so one key never does two things.
+    bind(name, key) {
+      for (let action in settings.bindings) {
+        settings.bindings[action] = settings.bindings[action].filter((other) => other != key);
+      }
+      settings.bindings[name] = [key];
+      save();
+    },
+
+    // calls back with the next key pressed instead of treating it as input
+    captureKey(callback) {
+      capture = callback;
+    },
+
+    // cancels waiting for a key to bind
+    cancelCapture() {
+      capture = null;
+    },
+
+    // puts every binding back to its default
+    resetBindings() {
+      settings.bindings = structuredClone(DEFAULT_BINDINGS);
+      save();
+    },
+
+    // returns whether the keyboard stand-in for a gamepad is switched on
+    keyboardGamepad() {
+      return settings.keyboardGamepad;
+    },
+
+    // returns whether the keys that hop straight in each direction are on
+    directKeys() {
+      return settings.directKeys;
+    },
+
+    // switches the direct movement keys on or off. Turning and jumping with
+    // the rotate and jump keys works either way.
+    setDirectKeys(enabled) {
+      settings.directKeys = enabled;
+      save();
+    },
+
+    // switches the keyboard stand-in for a gamepad on or off
+    setKeyboardGamepad(enabled) {
+      settings.keyboardGamepad = enabled;
+      heldKeys.clear();
+      updateKeyboardPad();
+      save();
+    },
+  };
+}
@@ -0,0 +1,173 @@
+// landscape generation. Lays out the tiles of a new map: heights come from
+// several octaves of noise added together, a second noise map gives each tile
+// how wet it is, and the two together decide the biome the tile belongs to, see
+// terrain.js. Rivers then run from the high ground downhill to the sea.
+//
+// The noise itself is passed in rather than imported, so maps can be built
+// from node with any noise function.
+
+import { hexKey, hexNeighbours, hexRange, hexToWorld, hexDistance } from './hexgrid.js';
+import { addTile, getTile } from './board.js';
+import { terrainAt } from './terrain.js';
+import { shuffle } from './random.js';
+
+// how far river beds are sunk below the ground they run through, in world units
+export const RIVER_DEPTH = 0.4;
+
+// rivers shorter than this many tiles are left out
+const MIN_RIVER_LENGTH = 4;
+
+// terrain type of river beds
+const RIVER_TERRAIN = "gravel";
+
+// returns the sum of several octaves of noise at a point, each at a finer
+// scale and a smaller strength than the last. noise is a function of x and y
+// returning values from -1 to 1, and so is the sum.
+export function fractalNoise(noise, x, y, { octaves, persistence, lacunarity }) {
+  let total = 0;
+  let range = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  for (let i = 0; i < octaves; i++) {
+    total += noise(x * frequency, y * frequency) * amplitude;
+    range += amplitude;
+    amplitude *= persistence;
+    frequency *= lacunarity;
+  }
+  return total / range;
+}
+
+// rescales a list of numbers in place so the smallest is 0 and the largest is 1
+function normalize(values) {
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  for (let i = 0; i < values.length; i++) {
+    values[i] = max > min ? (values[i] - min) / (max - min) : 0;
+  }
+  return values;
+}
+
+// follows the way water runs from a tile, always on to its lowest neighbour,
+// until it reaches other water or the edge of the map. Returns the tiles of the
+// river along with the height of the river bed at each, or null if the river
+// gets stuck. The bed is dug through any ground the river has to climb over,
+// so it never runs uphill.
+function traceRiver(board, source) {
+  let tiles = [source];
+  let beds = [source.height];
+  let visited = new Set([hexKey(source.q, source.r)]);
+
+  let current = source;
+  while (true) {
+    let neighbours = hexNeighbours(current.q, current.r).map((other) => getTile(board, other.q, other.r));
+    if (neighbours.some((tile) => tile == undefined || tile.water)) return { tiles, beds };
+
+    let next = neighbours
+      .filter((tile) => !visited.has(hexKey(tile.q, tile.r)))
+      .sort((a, b) => a.height - b.height)[0];
+    if (next == undefined) return null;
+
+    visited.add(hexKey(next.q, next.r));
+    tiles.push(next);
+    beds.push(Math.min(beds[beds.length - 1], next.height));
+    current = next;
+  }
+}
+
+// runs rivers down from the high ground. Sources are picked at random from the
+// highest quarter of the land and kept apart by spacing tiles.
+function carveRivers(board, random, count, spacing) {
+  let land = [...board.tiles.values()].filter((tile) => !tile.water);
+  land.sort((a, b) => b.height - a.height);
+  let candidates = shuffle(land.slice(0, Math.ceil(land.length / 4)), random);
+
+  let sources = [];
+  for (let source of candidates) {
+    if (sources.length >= count) break;
+    if (source.water || sources.some((other) => hexDistance(source, other) < spacing)) continue;
+
+    let river = traceRiver(board, source);
+    if (river == null || river.tiles.length < MIN_RIVER_LENGTH) continue;
+
+    sources.push(source);
+    river.tiles.forEach((tile, index) => {
+      tile.height = Math.max(0, river.beds[index] - RIVER_DEPTH);
+      tile.terrain = RIVER_TERRAIN;
+      tile.biome = null;
+      tile.water = true;
+      tile.blocked = true;
+      tile.river = true;
+    });
+  }
+}
+
+// fills an empty board with the tiles of a new map.
+//
+// createNoise is called with random to make each noise map, and should return
+// a function of x and y giving values from -1 to 1.
+//
+// options:
+//   radius         distance in world units from the centre to the edge of the map
+//   maxHeight      height of the tallest tile
+//   waterHeight    tiles below this fraction of maxHeight are under the sea
+//   scale          how quickly heights change across the map, larger values
+//                  give smaller hills
+//   octaves        number of layers of noise added together for the heights,
+//                  each adding finer detail
+//   persistence    strength of each octave compared to the one before it
+//   lacunarity     how much finer each octave is than the one before it
+//   exponent       heights are raised to this power, so values above 1 give
+//                  flatter lowlands and steeper peaks
+//   falloff        how much the ground sinks towards the edge of the map, from
+//                  0 for not at all to 1 for right down to the sea floor
+//   moistureScale  how quickly moisture changes across the map
+//   rivers         most rivers to run down to the sea
+export function generateLandscape(board, createNoise, random, options) {
+  let {
+    radius,
+    maxHeight,
+    waterHeight,
+    scale,
+    octaves,
+    persistence,
+    lacunarity,
+    exponent,
+    falloff,
+    moistureScale,
+    rivers,
+  } = options;
+  let octaveOptions = { octaves, persistence, lacunarity };
+  let heightNoise = createNoise(random);
+  let moistureNoise = createNoise(random);
+
+  // sample both noise maps at every tile within the radius. Noise is sampled at
+  // world positions so hills are the same size in every direction.
+  let tiles = [];
+  let heights = [];
+  let moistures = [];
+  for (let tile of hexRange({ q: 0, r: 0 }, Math.ceil(radius))) {
+    let { x, z } = hexToWorld(tile.q, tile.r);
+    let distance = Math.hypot(x, z);
+    if (distance >= radius) continue;
+
+    tiles.push({ q: tile.q, r: tile.r, edge: distance / radius });
+    heights.push(fractalNoise(heightNoise, x * scale, z * scale, octaveOptions));
+    moistures.push(fractalNoise(moistureNoise, x * moistureScale, z * moistureScale, octaveOptions));
+  }
+
+  // stretch both maps over their full range, so every map has lowlands and
+  // peaks, and dry and wet ground, whatever the noise happened to give
+  normalize(heights);
+  normalize(moistures);
+
+  tiles.forEach(({ q, r, edge }, index) => {
+    let height = Math.pow(heights[index], exponent) * (1 - falloff * edge * edge) * maxHeight;
+    let { biome, terrain } = terrainAt(height, moistures[index], { maxHeight, waterHeight });
+
+    let tile = addTile(board, q, r, height, terrain, height < waterHeight * maxHeight);
+    tile.biome = biome;
+    tile.moisture = moistures[index];
+  });
+
+  carveRivers(board, random, rivers, Math.max(3, Math.floor(radius / 4)));
+}
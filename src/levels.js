@@ -0,0 +1,193 @@
+// hand made levels. A level file describes a whole map in json: the height and
+// terrain of every tile and the props on them, where the rabbit, burrow and
+// babies start, where each predator starts and how it behaves, and optionally
+// the rules the level is played under. Levels are built onto a board and
+// placed the same way as generated maps, so the rest of the game can't tell
+// the two apart.
+
+import { hexKey, hexDistance, hexRange } from './hexgrid.js';
+import { addTile, getTile, isPassable, setProp } from './board.js';
+import { TERRAIN_TYPES, PROPS } from './terrain.js';
+import { findReachable } from './generator.js';
+import { BEHAVIOUR_NAMES, getProfile } from './behaviours.js';
+import { DEFAULT_PRESET, createRules } from './rules.js';
+
+// the fields of a level. Coordinates are axial, with 0, 0 at the centre of the
+// map, and heights are in world units.
+//
+//   name       title shown on the start screen
+//   radius     the map is every tile within this many tiles of the centre
+//   ground     { height, terrain } of every tile that isn't listed in tiles
+//   tiles      list of { q, r } for tiles that differ from the ground, with
+//              any of:
+//     height     height of the tile, water tiles default to 0
+//     terrain    name of a terrain type, see terrain.js
+//     water      whether the tile is water, which nothing can enter
+//     prop       name of a prop to place on the tile, see terrain.js
+//     rotation   angle in degrees the prop is turned to
+//   spawn      { q, r, angle } where the rabbit starts and the angle it faces
+//   burrow     { q, r } of the burrow
+//   babies     list of { q, r } for each baby
+//   predators  list of { type, q, r, behaviour } for each predator, where
+//              behaviour is optional and changes settings from the species'
+//              profile for this animal only, see behaviours.js
+//   rules      rules the level is played under, in the same form as a rules
+//              file, see rules.js. How many of each predator there are is set
+//              by the level instead.
+
+// profile settings that belong to the view rather than to how the animal
+// behaves, which levels can't change
+const VIEW_SETTINGS = ["model", "scale"];
+
+// throws if value isn't a number of at least 0
+function checkNumber(name, value) {
+  if (typeof value != "number" || Number.isNaN(value) || value < 0) {
+    throw new Error("Level " + name + " must be a number of at least 0");
+  }
+}
+
+// throws if a position isn't on a map of the given radius
+function checkPosition(name, position, radius) {
+  if (position == null || !Number.isInteger(position.q) || !Number.isInteger(position.r)) {
+    throw new Error("Level " + name + " needs whole number q and r coordinates");
+  }
+  if (hexDistance(position, { q: 0, r: 0 }) > radius) {
+    throw new Error("Level " + name + " is off the map");
+  }
+}
+
+// throws if a predator's behaviour settings aren't ones its profile has
+function checkBehaviour(name, type, behaviour) {
+  let profile = getProfile(type);
+  for (let setting in behaviour) {
+    if (!(setting in profile) || VIEW_SETTINGS.includes(setting)) {
+      throw new Error("Level " + name + " has unknown behaviour setting " + setting);
+    }
+    if (setting == "behaviour") {
+      if (!BEHAVIOUR_NAMES.includes(behaviour.behaviour)) {
+        throw new Error("Level " + name + " has unknown behaviour " + behaviour.behaviour);
+      }
+    } else {
+      checkNumber(name + " " + setting, behaviour[setting]);
+    }
+  }
+}
+
+// throws if a level is incomplete or describes a map that can't be built.
+// Returns the level with every optional field filled in.
+export function validateLevel(level) {
+  if (level == null || typeof level != "object") throw new Error("File is not a level");
+  if (typeof level.name != "string") throw new Error("Level needs a name");
+  if (!Number.isInteger(level.radius) || level.radius < 1 || level.radius > 60) {
+    throw new Error("Level radius must be a whole number between 1 and 60");
+  }
+
+  let terrains = TERRAIN_TYPES.map((type) => type.name);
+  let { radius, ground = {}, tiles = [], babies = [], predators = [], rules = {} } = level;
+
+  checkNumber("ground height", ground.height);
+  if (!terrains.includes(ground.terrain)) throw new Error("Level ground has unknown terrain " + ground.terrain);
+
+  tiles.forEach((tile, index) => {
+    let name = "tile " + (index + 1);
+    checkPosition(name, tile, radius);
+    if (tile.height != undefined) checkNumber(name + " height", tile.height);
+    if (tile.terrain != undefined && !terrains.includes(tile.terrain)) {
+      throw new Error("Level " + name + " has unknown terrain " + tile.terrain);
+    }
+    if (tile.prop != undefined && PROPS[tile.prop] == undefined) {
+      throw new Error("Level " + name + " has unknown prop " + tile.prop);
+    }
+    if (tile.rotation != undefined && typeof tile.rotation != "number") {
+      throw new Error("Level " + name + " rotation must be a number");
+    }
+  });
+
+  checkPosition("spawn", level.spawn, radius);
+  let { angle = 60 } = level.spawn;
+  if (!Number.isInteger(angle) || angle % 60 != 0) throw new Error("Level spawn angle must be a multiple of 60");
+
+  checkPosition("burrow", level.burrow, radius);
+  babies.forEach((baby, index) => checkPosition("baby " + (index + 1), baby, radius));
+  predators.forEach((predator, index) => {
+    let name = "predator " + (index + 1);
+    checkPosition(name, predator, radius);
+    if (getProfile(predator.type) == undefined) throw new Error("Level " + name + " is an unknown predator " + predator.type);
+    checkBehaviour(name, predator.type, predator.behaviour || {});
+  });
+
+  // everything starts on a tile of its own
+  let starts = [level.spawn, level.burrow, ...babies, ...predators].map((tile) => hexKey(tile.q, tile.r));
+  if (new Set(starts).size != starts.length) throw new Error("Level places two things on the same tile");
+
+  // the rules are checked now so a bad level is caught when it is loaded
+  createRules(rules.preset || DEFAULT_PRESET, rules);
+
+  return {
+    ...level,
+    ground,
+    tiles,
+    spawn: { q: level.spawn.q, r: level.spawn.r, angle },
+    babies,
+    predators,
+    rules,
+  };
+}
+
+// reads a level from the text of a json file. Throws if it isn't a valid level.
+export function parseLevel(text) {
+  let level;
+  try {
+    level = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Level file is not valid JSON");
+  }
+  return validateLevel(level);
+}
+
+// returns the rules a level is played under
+export function levelRules(level) {
+  return createRules(level.rules.preset || DEFAULT_PRESET, level.rules);
+}
+
+// lays out a level's tiles on an empty board and returns where everything
+// starts, in the same form as generateLevel: { spawn, burrow, babies,
+// predators } where spawn also has the angle the rabbit faces and predators
+// are { type, q, r, behaviour }. Throws if anything starts on a tile that
+// can't be entered, or if the burrow or a baby can't be reached from the spawn
+// under the given rules.
+export function buildLevel(board, level, rules) {
+  let changes = new Map(level.tiles.map((tile) => [hexKey(tile.q, tile.r), tile]));
+
+  for (let { q, r } of hexRange({ q: 0, r: 0 }, level.radius)) {
+    let { height, terrain = level.ground.terrain, water = false, prop, rotation = 0 } = changes.get(hexKey(q, r)) || {};
+    if (height == undefined) height = water ? 0 : level.ground.height;
+
+    addTile(board, q, r, height, terrain, water);
+    if (prop != undefined) {
+      setProp(board, q, r, prop, PROPS[prop].blocking || false);
+      getTile(board, q, r).propRotation = rotation * Math.PI / 180;
+    }
+  }
+
+  let { spawn, burrow, babies, predators } = level;
+  for (let [name, tile] of [["spawn", spawn], ["burrow", burrow], ...babies.map((baby) => ["baby", baby])]) {
+    if (!isPassable(board, tile.q, tile.r)) throw new Error("Level " + name + " is on a tile that can't be entered");
+  }
+  for (let predator of predators) {
+    if (!isPassable(board, predator.q, predator.r)) throw new Error("Level predator is on a tile that can't be entered");
+  }
+
+  let reachable = findReachable(board, spawn, rules.maxClimb);
+  if (!reachable.has(hexKey(burrow.q, burrow.r))) throw new Error("Level burrow can't be reached from the spawn");
+  if (babies.some((baby) => !reachable.has(hexKey(baby.q, baby.r)))) {
+    throw new Error("Level has a baby that can't be reached from the spawn");
+  }
+
+  return {
+    spawn,
+    burrow: { q: burrow.q, r: burrow.r },
+    babies: babies.map(({ q, r }) => ({ q, r })),
+    predators: predators.map(({ type, q, r, behaviour = {} }) => ({ type, q, r, behaviour })),
+  };
+}
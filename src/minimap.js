@@ -0,0 +1,166 @@
+// minimap. Draws a flat overview of the board onto a 2d canvas straight from
+// the game state, so it needs nothing from the 3d scene: tiles coloured by
+// terrain, blocked tiles, the burrow, babies, predators and the rabbit with an
+// arrow showing which way it faces. With fog switched on, tiles the rabbit
+// hasn't explored yet are hidden along with anything standing on them.
+// Predators only ever show up while the rabbit can see them, fog or not.
+
+import { hexKey, hexToWorld, worldToHex, HEX_WIDTH } from './hexgrid.js';
+import { RABBIT, BABY, FOX, BEAR, BURROW } from './gamestate.js';
+import { getProfile } from './behaviours.js';
+
+// colour of each terrain type
+const TERRAIN_COLOURS = {
+  stone: "#8a8a8a",
+  dirt: "#8b5a2b",
+  dirt2: "#6b4423",
+  gravel: "#9a9486",
+  sand: "#e2c98a",
+  grass: "#5a9e3a",
+};
+const WATER_COLOUR = "#3a7bd5";
+const BLOCKED_COLOUR = "rgba(0, 0, 0, 0.45)";
+const FOG_COLOUR = "#1e2a22";
+
+// colour of each kind of entity. Predators without a colour of their own use
+// the default predator colour.
+const ENTITY_COLOURS = {
+  [RABBIT]: "#ffffff",
+  [BABY]: "#ffb6d9",
+  [BURROW]: "#ffff00",
+  [FOX]: "#ff7a1a",
+  [BEAR]: "#c0392b",
+};
+const PREDATOR_COLOUR = "#ff0000";
+
+// returns whether a tile is in the set of explored tile keys. Everything counts
+// as explored when there is no set.
+function isExplored(explored, tile) {
+  return explored == null || explored.has(hexKey(tile.q, tile.r));
+}
+
+// creates a minimap that draws onto the given canvas.
+//
+// options:
+//   fog      hide tiles that haven't been explored, on unless set to false
+//   onClick  called with the tile clicked on, for panning the camera
+export function createMinimap(canvas, options = {}) {
+  let { fog = true, onClick = null } = options;
+  let context = canvas.getContext("2d");
+
+  // world units per pixel, worked out from the board each time it is drawn.
+  // The centre of the canvas is the centre of the map.
+  let scale = 1;
+  let board = null;
+
+  // converts a world position to canvas pixels
+  function toCanvas(x, z) {
+    return { x: canvas.width / 2 + x / scale, y: canvas.height / 2 + z / scale };
+  }
+
+  // fills a pointy topped hexagon centred on a tile
+  function fillHex(tile, colour) {
+    let world = hexToWorld(tile.q, tile.r);
+    let centre = toCanvas(world.x, world.z);
+    let radius = HEX_WIDTH / Math.sqrt(3) / scale;
+
+    context.beginPath();
+    for (let corner = 0; corner < 6; corner++) {
+      let angle = Math.PI / 6 + corner * Math.PI / 3;
+      let x = centre.x + radius * Math.cos(angle);
+      let y = centre.y + radius * Math.sin(angle);
+      if (corner == 0) context.moveTo(x, y);
+      else context.lineTo(x, y);
+    }
+    context.closePath();
+    context.fillStyle = colour;
+    context.fill();
+  }
+
+  // draws an entity as a dot, with an arrow showing which way the rabbit faces
+  function drawEntity(entity) {
+    let world = hexToWorld(entity.q, entity.r);
+    let centre = toCanvas(world.x, world.z);
+    let radius = Math.max(2, 0.8 / scale);
+    let colour = ENTITY_COLOURS[entity.type] ||
+                 (getProfile(entity.type) != undefined ? PREDATOR_COLOUR : "#000000");
+
+    context.fillStyle = colour;
+    context.strokeStyle = colour;
+    context.beginPath();
+    context.arc(centre.x, centre.y, radius, 0, Math.PI * 2);
+    context.fill();
+
+    if (entity.type == RABBIT) {
+      // angles go counterclockwise from +x, and the canvas y axis is world z
+      let radians = entity.angle * Math.PI / 180;
+      context.lineWidth = 2;
+      context.beginPath();
+      context.moveTo(centre.x, centre.y);
+      context.lineTo(centre.x + Math.cos(radians) * radius * 3, centre.y - Math.sin(radians) * radius * 3);
+      context.stroke();
+    }
+  }
+
+  if (onClick != null) {
+    canvas.addEventListener("click", function(event) {
+      if (board == null) return;
+
+      let bounds = canvas.getBoundingClientRect();
+      let x = (event.clientX - bounds.left) * canvas.width / bounds.width;
+      let y = (event.clientY - bounds.top) * canvas.height / bounds.height;
+      let { q, r } = worldToHex((x - canvas.width / 2) * scale, (y - canvas.height / 2) * scale);
+
+      let tile = board.tiles.get(hexKey(q, r));
+      if (tile != undefined) onClick(tile);
+    });
+  }
+
+  return {
+    // redraws the minimap from the game state. explored and visible are the
+    // sets of tile keys the rabbit has explored and can see right now.
+    // explored only matters while fog is on.
+    draw(state, explored, visible) {
+      board = state.board;
+      let fogged = fog ? explored : null;
+
+      // fit the whole board in the canvas
+      let extent = 0;
+      for (let tile of board.tiles.values()) {
+        let world = hexToWorld(tile.q, tile.r);
+        extent = Math.max(extent, Math.abs(world.x), Math.abs(world.z));
+      }
+      scale = (extent + HEX_WIDTH) * 2 / Math.min(canvas.width, canvas.height);
+
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      for (let tile of board.tiles.values()) {
+        if (!isExplored(fogged, tile)) {
+          fillHex(tile, FOG_COLOUR);
+          continue;
+        }
+
+        fillHex(tile, tile.water ? WATER_COLOUR : TERRAIN_COLOURS[tile.terrain] || WATER_COLOUR);
+        if (tile.blocked && !tile.water) fillHex(tile, BLOCKED_COLOUR);
+      }
+
+      // the rabbit is drawn last so it is always on top
+      let entities = [...state.entities].sort((a, b) => (a.type == RABBIT) - (b.type == RABBIT));
+      for (let entity of entities) {
+        // predators only show up where the rabbit can see them
+        let shown = getProfile(entity.type) != undefined ? visible : fogged;
+        if (entity.type == RABBIT || isExplored(shown, entity)) drawEntity(entity);
+      }
+    },
+
+    // returns whether fog is on
+    fog() {
+      return fog;
+    },
+
+    // switches fog of war on the minimap on or off. This only changes which
+    // tiles are shown, never which predators are.
+    setFog(enabled) {
+      fog = enabled;
+    },
+  };
+}
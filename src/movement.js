@@ -0,0 +1,40 @@
+// movement rules. Hopping between neighbouring tiles depends on how far apart
+// their heights are: animals can only hop up so far, climbing takes extra
+// turns, and the rabbit can hurt itself dropping down a long way. The rabbit and
+// the predators both move through the functions here, so they are held to the
+// same rules. The limits come from the game rules, see rules.js, and some
+// terrain takes longer to cross, see terrain.js.
+
+import { terrainRules } from './terrain.js';
+
+// returns whether an animal can reach a neighbouring tile's height in one hop.
+// Going down is never limited.
+export function canClimb(from, to, rules) {
+  return to.height - from.height <= rules.maxClimb;
+}
+
+// returns whether an animal can hop from one tile onto a neighbouring one
+export function canStep(from, to, rules) {
+  return !to.blocked && canClimb(from, to, rules);
+}
+
+// returns how many turns a hop between neighbouring tiles takes. Every
+// climbPerTurn of height climbed adds a turn, as does landing on slow terrain.
+export function stepTurns(from, to, rules) {
+  let rise = Math.max(0, to.height - from.height);
+  return 1 + Math.floor(rise / rules.climbPerTurn) + (terrainRules(to).extraTurns || 0);
+}
+
+// returns the health the rabbit loses hopping down from one tile to another
+export function fallDamage(from, to, rules) {
+  return from.height - to.height > rules.safeDrop ? rules.fallDamage : 0;
+}
+
+// returns findPath options that keep a path within the movement rules,
+// preferring routes that take the fewest turns
+export function movementOptions(rules) {
+  return {
+    cost: (from, to) => stepTurns(from, to, rules),
+    canMove: (from, to) => canClimb(from, to, rules),
+  };
+}
@@ -0,0 +1,151 @@
+// A* pathfinding on the hex board. Costs are pluggable so that different
+// animals can weigh terrain differently, e.g. the height rules in movement.js.
+// Like the board, this module has no three.js or DOM dependencies.
+
+import { hexKey, parseHexKey, hexNeighbours, hexDistance } from './hexgrid.js';
+import { getTile } from './board.js';
+
+// default cost, every step costs the same
+function uniformCost() {
+  return 1;
+}
+
+// default passability check, animals can stand on any unblocked tile
+function isOpen(tile) {
+  return !tile.blocked;
+}
+
+// finds the cheapest path from start to goal, returning the list of tiles
+// visited from start to goal inclusive, or null if the goal can't be reached.
+//
+// options:
+//   cost(from, to)  cost of stepping between two adjacent board tiles, at
+//                   least 1 so that hex distance stays an admissible heuristic
+//   passable(tile)  whether a board tile can be entered
+//   canMove(from, to)
+//                   whether an animal can get between two adjacent board
+//                   tiles, such as when one is too high to climb onto
+//   maxNodes        gives up after expanding this many tiles
+//   allowPartial    if the goal can't be reached, returns the path to the
+//                   explored tile closest to it instead of null
+export function findPath(board, start, goal, options = {}) {
+  let {
+    cost = uniformCost,
+    passable = isOpen,
+    canMove = () => true,
+    maxNodes = Infinity,
+    allowPartial = false,
+  } = options;
+
+  let startTile = getTile(board, start.q, start.r);
+  if (startTile == undefined) return null;
+
+  let startKey = hexKey(start.q, start.r);
+  let goalKey = hexKey(goal.q, goal.r);
+
+  let open = new MinHeap();
+  let cameFrom = new Map();
+  let costSoFar = new Map([[startKey, 0]]);
+  let closed = new Set();
+
+  // the explored tile closest to the goal, used for partial paths
+  let bestKey = startKey;
+  let bestDistance = hexDistance(start, goal);
+
+  open.push(startTile, bestDistance);
+
+  while (open.size() > 0 && closed.size < maxNodes) {
+    let current = open.pop();
+    let currentKey = hexKey(current.q, current.r);
+    if (closed.has(currentKey)) continue;
+    closed.add(currentKey);
+
+    if (currentKey == goalKey) return buildPath(cameFrom, goalKey);
+
+    let distance = hexDistance(current, goal);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestKey = currentKey;
+    }
+
+    for (let neighbour of hexNeighbours(current.q, current.r)) {
+      let neighbourKey = hexKey(neighbour.q, neighbour.r);
+      if (closed.has(neighbourKey)) continue;
+
+      let tile = getTile(board, neighbour.q, neighbour.r);
+      // the goal is always enterable so animals can path onto their target
+      if (tile == undefined || (neighbourKey != goalKey && !passable(tile))) continue;
+      if (!canMove(current, tile)) continue;
+
+      let newCost = costSoFar.get(currentKey) + cost(current, tile);
+      if (!costSoFar.has(neighbourKey) || newCost < costSoFar.get(neighbourKey)) {
+        costSoFar.set(neighbourKey, newCost);
+        cameFrom.set(neighbourKey, currentKey);
+        open.push(tile, newCost + hexDistance(tile, goal));
+      }
+    }
+  }
+
+  if (allowPartial) return buildPath(cameFrom, bestKey);
+  return null;
+}
+
+// walks back through cameFrom to rebuild the path ending at endKey
+function buildPath(cameFrom, endKey) {
+  let path = [];
+  let key = endKey;
+  while (key != undefined) {
+    path.push(parseHexKey(key));
+    key = cameFrom.get(key);
+  }
+  return path.reverse();
+}
+
+// binary heap used as the open set, ordered by lowest priority first
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    let items = this.items;
+    items.push({ value, priority });
+
+    // sift the new item up
+    let i = items.length - 1;
+    while (i > 0) {
+      let parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    let items = this.items;
+    let top = items[0];
+    let last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+
+      // sift the moved item down
+      let i = 0;
+      while (true) {
+        let left = 2 * i + 1;
+        let right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest == i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top.value;
+  }
+}
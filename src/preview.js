@@ -0,0 +1,72 @@
+// landscape preview. Draws a generated board flat onto a 2d canvas without
+// building the 3d scene or placing anything on the map, so landscape settings
+// can be tried out quickly. The board can be coloured by height, by moisture
+// or by biome.
+
+import { hexToWorld, HEX_WIDTH } from './hexgrid.js';
+
+// the ways the board can be coloured, in the order they are offered
+export const PREVIEW_LAYERS = ["height", "moisture", "biomes"];
+
+// colour of each biome, and of tiles along the shore that have none
+const BIOME_COLOURS = {
+  highland: "#8a8a8a",
+  marsh: "#4f6b4a",
+  forest: "#2f6b2a",
+  meadow: "#8fc25a",
+};
+const SHORE_COLOUR = "#e2c98a";
+const RIVER_COLOUR = "#5fa8ff";
+
+// returns a css colour mixing between two [r, g, b] colours
+function mix(from, to, amount) {
+  let channels = from.map((channel, index) => Math.round(channel + (to[index] - channel) * amount));
+  return "rgb(" + channels.join(", ") + ")";
+}
+
+// returns the colour of a tile on the given layer
+function tileColour(tile, layer, { maxHeight, waterHeight }) {
+  if (tile.river) return RIVER_COLOUR;
+
+  if (layer == "height") {
+    let fraction = Math.min(1, tile.height / maxHeight);
+    if (tile.water) return mix([10, 30, 80], [60, 130, 220], fraction / waterHeight);
+    return mix([20, 20, 20], [255, 255, 255], fraction);
+  }
+
+  if (tile.water) return mix([10, 30, 80], [60, 130, 220], tile.height / (waterHeight * maxHeight));
+  if (layer == "moisture") return mix([200, 170, 110], [30, 90, 200], tile.moisture);
+  return BIOME_COLOURS[tile.biome] || SHORE_COLOUR;
+}
+
+// draws every tile of the board as a hexagon filling the canvas. Heights are
+// read against the map's maxHeight and waterHeight.
+export function drawPreview(canvas, board, layer, heights) {
+  let context = canvas.getContext("2d");
+
+  // fit the whole board in the canvas, centred on the middle of the map
+  let extent = 0;
+  for (let tile of board.tiles.values()) {
+    let world = hexToWorld(tile.q, tile.r);
+    extent = Math.max(extent, Math.abs(world.x), Math.abs(world.z));
+  }
+  let scale = (extent + HEX_WIDTH) * 2 / Math.min(canvas.width, canvas.height);
+  let radius = HEX_WIDTH / Math.sqrt(3) / scale;
+
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  for (let tile of board.tiles.values()) {
+    let world = hexToWorld(tile.q, tile.r);
+    let x = canvas.width / 2 + world.x / scale;
+    let y = canvas.height / 2 + world.z / scale;
+
+    context.beginPath();
+    for (let corner = 0; corner < 6; corner++) {
+      let angle = Math.PI / 6 + corner * Math.PI / 3;
+      if (corner == 0) context.moveTo(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+      else context.lineTo(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+    }
+    context.closePath();
+    context.fillStyle = tileColour(tile, layer, heights);
+    context.fill();
+  }
+}
@@ -0,0 +1,72 @@
+// seeded random number generation. Everything random about a game (terrain,
+// decorations, spawn points and predator decisions) is drawn from generators
+// created here, so the same seed always produces the same game.
+
+// hashes a seed string into a 32 bit integer (FNV-1a)
+export function hashSeed(seed) {
+  let hash = 2166136261;
+  let text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// creates a generator from a seed string. The generator is a function that
+// returns a number in [0, 1) like Math.random, using the mulberry32 algorithm.
+// Its internal state can be read and restored with getState and setState.
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  function random() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  random.getState = () => state;
+  random.setState = (newState) => {
+    state = newState;
+  };
+  return random;
+}
+
+// creates an independent copy of a generator that continues from the same point
+export function copyRandom(random) {
+  let copy = createRandom("");
+  copy.setState(random.getState());
+  return copy;
+}
+
+// creates a separate generator for each part of the game, so that for example
+// changing how predators behave doesn't change the map a seed produces
+export function createRandomStreams(seed) {
+  return {
+    terrain: createRandom(seed + "/terrain"),
+    decorations: createRandom(seed + "/decorations"),
+    spawns: createRandom(seed + "/spawns"),
+    predators: createRandom(seed + "/predators"),
+  };
+}
+
+// shuffles an array in place using the given random number generator
+export function shuffle(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    let j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// makes up a new short seed that is easy to read out and share
+export function randomSeed() {
+  let letters = "abcdefghjkmnpqrstuvwxyz23456789";
+  let seed = "";
+  for (let i = 0; i < 6; i++) {
+    seed += letters[Math.floor(Math.random() * letters.length)];
+  }
+  return seed;
+}
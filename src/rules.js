@@ -0,0 +1,262 @@
+// game rules. Everything that affects how hard a game is lives in a rules
+// object, so balance can be tuned without editing the source: players pick a
+// difficulty preset, and custom rules can be loaded from a json file or given
+// in the url. Rules are plain data so they can be stored with saves and
+// replays, which only play out the same way under the rules they were made with.
+
+import { FOX, BEAR } from './gamestate.js';
+import { PREDATOR_PROFILES, getProfile } from './behaviours.js';
+
+// landscape settings shared by every difficulty
+const LANDSCAPE = {
+  scale: 0.06,
+  octaves: 4,
+  persistence: 0.5,
+  lacunarity: 2,
+  exponent: 1.1,
+  falloff: 0.5,
+  moistureScale: 0.04,
+};
+
+// the rules for each difficulty.
+//
+//   mapRadius     radius of the map in tiles
+//   maxHeight     height of the tallest possible tile
+//   waterHeight   tiles below this fraction of maxHeight are water
+//   lives         health the rabbit starts with
+//   babies        number of babies to rescue
+//   sightRadius   how many tiles away the rabbit can see
+//   maxClimb      highest any animal can hop up onto a neighbouring tile
+//   climbPerTurn  every this much height climbed in one hop takes an extra turn
+//   safeDrop      the rabbit can hop down this far without getting hurt
+//   fallDamage    health lost hopping down further than safeDrop, 0 for none
+//   landscape     settings for generating the map, see landscape.js:
+//     scale         how quickly heights change, larger values give smaller hills
+//     octaves       layers of noise added together, each adding finer detail
+//     persistence   strength of each octave compared to the one before it
+//     lacunarity    how much finer each octave is than the one before it
+//     exponent      heights are raised to this power, above 1 for steeper peaks
+//     falloff       how far the ground sinks towards the edge of the map
+//     moistureScale how quickly moisture, and so the biome, changes
+//     rivers        most rivers running down to the sea
+//   predators     settings for each predator species, keyed by entity type:
+//     count         number of animals spawned
+//     cadence       the animal moves on turns divisible by this number
+//     damage        health lost when the animal catches the rabbit
+//     penalty       points lost when the animal catches the rabbit
+export const PRESETS = {
+  easy: {
+    mapRadius: 35,
+    maxHeight: 10,
+    waterHeight: 0.15,
+    lives: 15,
+    babies: 5,
+    sightRadius: 9,
+    maxClimb: 2,
+    climbPerTurn: 1.5,
+    safeDrop: 3,
+    fallDamage: 0,
+    landscape: { ...LANDSCAPE, rivers: 2 },
+    predators: {
+      [FOX]: { count: 2, cadence: 3, damage: 1, penalty: 3 },
+      [BEAR]: { count: 1, cadence: 4, damage: 3, penalty: 8 },
+    },
+  },
+  normal: {
+    mapRadius: 45,
+    maxHeight: 10,
+    waterHeight: 0.15,
+    lives: 10,
+    babies: 7,
+    sightRadius: 7,
+    maxClimb: 1.5,
+    climbPerTurn: 1,
+    safeDrop: 2,
+    fallDamage: 0,
+    landscape: { ...LANDSCAPE, rivers: 3 },
+    predators: {
+      [FOX]: { count: 3, cadence: 2, damage: 2, penalty: 5 },
+      [BEAR]: { count: 1, cadence: 3, damage: 4, penalty: 10 },
+    },
+  },
+  hard: {
+    mapRadius: 50,
+    maxHeight: 12,
+    waterHeight: 0.2,
+    lives: 6,
+    babies: 8,
+    sightRadius: 6,
+    maxClimb: 1.2,
+    climbPerTurn: 0.75,
+    safeDrop: 1.5,
+    fallDamage: 1,
+    landscape: { ...LANDSCAPE, rivers: 4 },
+    predators: {
+      [FOX]: { count: 5, cadence: 2, damage: 3, penalty: 8 },
+      [BEAR]: { count: 2, cadence: 2, damage: 5, penalty: 15 },
+    },
+  },
+};
+
+// preset used when none is chosen
+export const DEFAULT_PRESET = "normal";
+
+// the smallest and largest values each numeric rule may take, and whether it
+// has to be a whole number
+const LIMITS = {
+  mapRadius: { min: 10, max: 120, integer: true },
+  maxHeight: { min: 1, max: 50 },
+  waterHeight: { min: 0, max: 1 },
+  lives: { min: 1, max: 100, integer: true },
+  babies: { min: 0, max: 50, integer: true },
+  sightRadius: { min: 1, max: 30, integer: true },
+  maxClimb: { min: 0, max: 50 },
+  climbPerTurn: { min: 0.1, max: 50 },
+  safeDrop: { min: 0, max: 50 },
+  fallDamage: { min: 0, max: 100 },
+};
+const LANDSCAPE_LIMITS = {
+  scale: { min: 0.001, max: 1 },
+  octaves: { min: 1, max: 8, integer: true },
+  persistence: { min: 0, max: 1 },
+  lacunarity: { min: 1, max: 4 },
+  exponent: { min: 0.1, max: 5 },
+  falloff: { min: 0, max: 1 },
+  moistureScale: { min: 0.001, max: 1 },
+  rivers: { min: 0, max: 20, integer: true },
+};
+const PREDATOR_LIMITS = {
+  count: { min: 0, max: 20, integer: true },
+  cadence: { min: 1, max: 10, integer: true },
+  damage: { min: 0, max: 100 },
+  penalty: { min: 0, max: 1000 },
+};
+
+// throws if value isn't a number within the given limits
+function checkNumber(name, value, { min, max, integer = false }) {
+  if (typeof value != "number" || Number.isNaN(value)) {
+    throw new Error("Rule " + name + " must be a number");
+  }
+  if (integer && !Number.isInteger(value)) {
+    throw new Error("Rule " + name + " must be a whole number");
+  }
+  if (value < min || value > max) {
+    throw new Error("Rule " + name + " must be between " + min + " and " + max);
+  }
+}
+
+// throws if the rules are incomplete or have a value that would break the game
+export function validateRules(rules) {
+  if (PRESETS[rules.preset] == undefined) throw new Error("Unknown preset " + rules.preset);
+
+  for (let name in LIMITS) checkNumber(name, rules[name], LIMITS[name]);
+
+  if (rules.landscape == undefined) throw new Error("Rules are missing the landscape");
+  for (let field in LANDSCAPE_LIMITS) {
+    checkNumber("landscape." + field, rules.landscape[field], LANDSCAPE_LIMITS[field]);
+  }
+
+  for (let type in PREDATOR_PROFILES) {
+    if (rules.predators[type] == undefined) throw new Error("Rules are missing predator " + type);
+  }
+
+  for (let type in rules.predators) {
+    if (getProfile(type) == undefined) throw new Error("Unknown predator " + type);
+    for (let field in PREDATOR_LIMITS) {
+      checkNumber(type + "." + field, rules.predators[type][field], PREDATOR_LIMITS[field]);
+    }
+  }
+  return rules;
+}
+
+// returns the rules for a preset with overrides applied on top. Overrides have
+// the same shape as the rules but only need the values being changed. Throws if
+// an override names a rule that doesn't exist or the result isn't valid.
+export function createRules(preset = DEFAULT_PRESET, overrides = {}) {
+  if (PRESETS[preset] == undefined) throw new Error("Unknown preset " + preset);
+
+  let rules = { preset, ...structuredClone(PRESETS[preset]) };
+  for (let name in overrides) {
+    if (name == "preset") continue;
+
+    if (name == "predators") {
+      for (let type in overrides.predators) {
+        rules.predators[type] = { ...rules.predators[type], ...overrides.predators[type] };
+      }
+    } else if (name == "landscape") {
+      rules.landscape = { ...rules.landscape, ...overrides.landscape };
+    } else if (name in LIMITS) {
+      rules[name] = overrides[name];
+    } else {
+      throw new Error("Unknown rule " + name);
+    }
+  }
+  return validateRules(rules);
+}
+
+// returns whether rules differ from the preset they were based on
+export function isCustom(rules) {
+  let { preset, ...values } = rules;
+  return JSON.stringify(values) != JSON.stringify(PRESETS[preset]);
+}
+
+// reads rules from the text of a json file. The file can name the preset it
+// builds on and gives the values that differ from it.
+export function parseRules(text) {
+  let overrides;
+  try {
+    overrides = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Rules file is not valid JSON");
+  }
+  if (overrides == null || typeof overrides != "object") throw new Error("File is not a rules file");
+
+  return createRules(overrides.preset || DEFAULT_PRESET, overrides);
+}
+
+// reads rules from url parameters, such as
+// ?preset=hard&lives=5&fox.count=4&landscape.rivers=6. Parameters that aren't
+// rules are left alone.
+export function rulesFromParams(params) {
+  let overrides = {};
+  for (let [name, value] of params) {
+    if (name in LIMITS) {
+      overrides[name] = Number(value);
+    } else if (name.startsWith("landscape.")) {
+      let field = name.slice("landscape.".length);
+      if (!(field in LANDSCAPE_LIMITS)) throw new Error("Unknown rule " + name);
+      overrides.landscape = overrides.landscape || {};
+      overrides.landscape[field] = Number(value);
+    } else if (name.includes(".")) {
+      let [type, field] = name.split(".");
+      if (!(field in PREDATOR_LIMITS)) throw new Error("Unknown rule " + name);
+      overrides.predators = overrides.predators || {};
+      overrides.predators[type] = overrides.predators[type] || {};
+      overrides.predators[type][field] = Number(value);
+    }
+  }
+  return createRules(params.get("preset") || DEFAULT_PRESET, overrides);
+}
+
+// writes rules as url parameters, listing only what differs from their preset
+export function rulesToParams(rules) {
+  let base = PRESETS[rules.preset];
+  let params = new URLSearchParams({ preset: rules.preset });
+
+  for (let name in LIMITS) {
+    if (rules[name] != base[name]) params.set(name, rules[name]);
+  }
+  for (let field in LANDSCAPE_LIMITS) {
+    let value = rules.landscape[field];
+    if (value != base.landscape[field]) params.set("landscape." + field, value);
+  }
+  for (let type in rules.predators) {
+    for (let field in PREDATOR_LIMITS) {
+      let value = rules.predators[type][field];
+      if (base.predators[type] == undefined || value != base.predators[type][field]) {
+        params.set(type + "." + field, value);
+      }
+    }
+  }
+  return params;
+}
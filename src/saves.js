@@ -0,0 +1,125 @@
+// saving and resuming games. The map itself isn't saved since it can be rebuilt
+// exactly from its seed, or from the hand made level it came from; a save holds the seed, everything on the board and the
+// player's progress. Saves go into one of a few slots in local storage and carry
+// a version number so saves from an incompatible version of the game are
+// reported rather than loaded.
+
+import { addOccupant } from './board.js';
+import { encodeAction, decodeAction } from './history.js';
+import { createRules } from './rules.js';
+import { validateLevel } from './levels.js';
+
+// bumped whenever the save format or map generation changes in a way that would
+// make old saves load incorrectly
+export const SAVE_VERSION = 5;
+
+// number of save slots available
+export const SAVE_SLOTS = 3;
+
+// prefix for the local storage keys that slots are stored under
+const SAVE_KEY = "rabbitRescue.save.";
+
+// returns the storage to use, local storage unless another is passed in
+function getStorage(storage) {
+  return storage || globalThis.localStorage;
+}
+
+// builds a save from the game in progress. actions is the list of actions
+// taken so far, which is kept so replays still work after resuming, rules are
+// the rules the game is being played under, and level is the hand made level
+// being played, or null for a generated map.
+export function serializeGame(seed, state, random, actions, rules, level = null) {
+  return {
+    version: SAVE_VERSION,
+    savedAt: Date.now(),
+    seed,
+    rules,
+    level,
+    lives: state.lives,
+    score: state.score,
+    turn: state.turn,
+    babiesLeft: state.babiesLeft,
+    usedPickups: [...state.usedPickups],
+    nextEntityId: state.nextEntityId,
+    entities: structuredClone(state.entities),
+    random: random.getState(),
+    actions: actions.map(encodeAction).join(""),
+  };
+}
+
+// stores a save in a slot
+export function writeSave(slot, save, storage) {
+  getStorage(storage).setItem(SAVE_KEY + slot, JSON.stringify(save));
+}
+
+// empties a slot
+export function deleteSave(slot, storage) {
+  getStorage(storage).removeItem(SAVE_KEY + slot);
+}
+
+// reads the save in a slot. Returns null if the slot is empty, and throws if
+// the save is damaged or was made by an incompatible version of the game.
+export function readSave(slot, storage) {
+  let text = getStorage(storage).getItem(SAVE_KEY + slot);
+  if (text == null) return null;
+
+  let save;
+  try {
+    save = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Save is damaged");
+  }
+
+  if (save == null || save.version != SAVE_VERSION) {
+    throw new Error("Save was made with a different version of the game");
+  }
+  if (save.rules == null || typeof save.rules != "object") throw new Error("Save is damaged");
+  return save;
+}
+
+// describes every slot for the start screen. Each entry has the slot number
+// and either the save in it, or the error that stops it from loading.
+export function listSaves(storage) {
+  let slots = [];
+  for (let slot = 1; slot <= SAVE_SLOTS; slot++) {
+    try {
+      slots.push({ slot, save: readSave(slot, storage) });
+    } catch (error) {
+      slots.push({ slot, save: null, error: error.message });
+    }
+  }
+  return slots;
+}
+
+// replaces the entities and progress in a fresh game state with those from a
+// save. The board must have been built from the save's seed.
+export function applySave(state, save, random) {
+  for (let tile of state.board.tiles.values()) tile.occupants = [];
+
+  state.entities = structuredClone(save.entities);
+  for (let entity of state.entities) addOccupant(state.board, entity.q, entity.r, entity.id);
+
+  state.lives = save.lives;
+  state.score = save.score;
+  state.turn = save.turn;
+  state.babiesLeft = save.babiesLeft;
+  state.usedPickups = [...save.usedPickups];
+  state.nextEntityId = save.nextEntityId;
+  random.setState(save.random);
+}
+
+// returns the rules a saved game is played under
+export function savedRules(save) {
+  return createRules(save.rules.preset, save.rules);
+}
+
+// returns the hand made level a saved game is played on, or null if its map
+// was generated
+export function savedLevel(save) {
+  return save.level ? validateLevel(save.level) : null;
+}
+
+// returns the actions that had been taken when the game was saved
+export function savedActions(save) {
+  return [...save.actions].map(decodeAction);
+}
@@ -0,0 +1,124 @@
+// terrain rules. What each kind of ground and each prop does in the game is set
+// out in the tables here, which both the map building and the turn engine read:
+// the map takes terrain types from tile heights and biomes and scatters props
+// over them, and the turn engine applies the effects of the tile the rabbit is
+// on.
+
+// terrain types and the rules for crossing them. Which type a tile gets depends
+// on its height and, above the shore, on the biome it belongs to.
+//
+//   extraTurns  turns added to every hop onto the terrain, for any animal
+export const TERRAIN_TYPES = [
+  { name: "stone" },
+  { name: "dirt" },
+  { name: "grass" },
+  { name: "sand", extraTurns: 1 },
+  { name: "gravel" },
+  { name: "dirt2" },
+];
+
+// ground along and under the water, from the highest down. A tile lower than
+// below, a fraction of the water level, gets the terrain. Tiles higher than all
+// of these belong to a biome instead.
+export const SHORE_TYPES = [
+  { terrain: "sand", below: 1.3 },
+  { terrain: "gravel", below: 1 },
+  { terrain: "dirt2", below: 0.66 },
+];
+
+// biomes covering the land above the shore. A tile belongs to the first biome
+// it fits, where heights are fractions of the map's maxHeight and moisture goes
+// from 0 for the driest ground on the map to 1 for the wettest.
+//
+//   above    the tile is higher than this
+//   below    the tile is lower than this
+//   wetter   the tile's moisture is higher than this
+//   terrain  the terrain type the biome is covered in
+//   props    how many times more likely each prop is to grow in the biome than
+//            its chance below, 1 for props left out
+export const BIOMES = [
+  {
+    name: "highland",
+    above: 0.65,
+    terrain: "stone",
+    props: { PP_Rock_Moss_Grown_09: 1.5 },
+  },
+  {
+    name: "marsh",
+    below: 0.4,
+    wetter: 0.6,
+    terrain: "dirt2",
+    props: { PP_Grass_11: 3, PP_Grass_15: 3, PP_Mushroom_Fantasy_Purple_08: 1.5 },
+  },
+  {
+    name: "forest",
+    wetter: 0.5,
+    terrain: "dirt",
+    props: { PP_Birch_Tree_05: 5, PP_Tree_02: 5, PP_Rock_Pile_Forest_Moss_05: 2, PP_Daffodil_03: 0.5 },
+  },
+  {
+    name: "meadow",
+    terrain: "grass",
+    props: { PP_Birch_Tree_05: 0.5, PP_Tree_02: 0.5, PP_Daffodil_03: 2, PP_Hyacinth_04: 2, PP_Grass_11: 1.5 },
+  },
+];
+
+// props that can be placed on tiles, keyed by the name of their model, which
+// is loaded from assets/<name>.fbx. Adding an entry here is all it takes to
+// add a new prop to the map.
+//
+//   scale     how much the model is scaled down when placed on the map
+//   terrains  the terrain types the prop grows on
+//   chance    chance of a tile of one of those terrains getting the prop
+//   spacing   the prop is never placed fewer than this many tiles from another
+//             of the same kind, so it spreads out over the map
+//   blocking  nothing can enter the tile or see past it
+//   hides     predators can't see the rabbit standing on the tile unless they
+//             are right next to it
+//   pickup    used up the first time the rabbit lands on the tile, changing
+//             its health and score by the amounts given
+export const PROPS = {
+  PP_Rock_Moss_Grown_09: { scale: 0.004, terrains: ["stone"], chance: 0.07, spacing: 2, blocking: true },
+  PP_Rock_Moss_Grown_11: { scale: 0.004, terrains: ["sand"], chance: 0.06, spacing: 2, blocking: true },
+  PP_Rock_Pile_Forest_Moss_05: { scale: 0.004, terrains: ["grass", "dirt"], chance: 0.03, spacing: 2, blocking: true },
+  PP_Birch_Tree_05: { scale: 0.015, terrains: ["grass", "dirt"], chance: 0.02, spacing: 2, blocking: true },
+  PP_Tree_02: { scale: 0.015, terrains: ["grass", "dirt"], chance: 0.02, spacing: 2, blocking: true },
+  PP_Grass_11: { scale: 0.05, terrains: ["grass", "dirt2"], chance: 0.08, hides: true },
+  PP_Grass_15: { scale: 0.05, terrains: ["grass", "dirt2"], chance: 0.03, hides: true },
+  PP_Daffodil_03: { scale: 0.05, terrains: ["grass", "dirt"], chance: 0.04, spacing: 2 },
+  PP_Mushroom_Fantasy_Orange_09: { scale: 0.04, terrains: ["dirt", "dirt2"], chance: 0.07, spacing: 3, pickup: { health: 1 } },
+  PP_Mushroom_Fantasy_Purple_08: { scale: 0.08, terrains: ["dirt", "dirt2"], chance: 0.07, spacing: 3, pickup: { health: -2 } },
+  PP_Hyacinth_04: { scale: 0.05, terrains: ["grass"], chance: 0.05, spacing: 3, pickup: { score: 3 } },
+};
+
+// returns the biome and terrain type for a tile with the given height and
+// moisture, as { biome, terrain }. biome is null along and under the water.
+export function terrainAt(height, moisture, { maxHeight, waterHeight }) {
+  let waterLevel = waterHeight * maxHeight;
+  for (let shore of SHORE_TYPES.slice().reverse()) {
+    if (height < shore.below * waterLevel) return { biome: null, terrain: shore.terrain };
+  }
+
+  let fraction = height / maxHeight;
+  let biome = BIOMES.find((biome) => {
+    return (biome.above == undefined || fraction > biome.above) &&
+           (biome.below == undefined || fraction < biome.below) &&
+           (biome.wetter == undefined || moisture > biome.wetter);
+  });
+  return { biome: biome.name, terrain: biome.terrain };
+}
+
+// returns the biome a tile belongs to, which is empty for tiles without one
+export function biomeRules(tile) {
+  return BIOMES.find((biome) => biome.name == tile.biome) || {};
+}
+
+// returns the rules for a tile's terrain, which are empty for tiles without any
+export function terrainRules(tile) {
+  return TERRAIN_TYPES.find((type) => type.name == tile.terrain) || {};
+}
+
+// returns the rules for the prop on a tile, which are empty if there is none
+export function propRules(tile) {
+  return PROPS[tile.prop] || {};
+}
@@ -0,0 +1,219 @@
+// turn engine. Every action the player takes is resolved here in a fixed order
+// of phases, entirely on tile coordinates, so the outcome of a turn never
+// depends on how far along the animations in the scene are. Anything interested
+// in what happened (the scene, the UI, sound) subscribes to the events the
+// engine emits instead of inspecting the state itself.
+
+import { mod, hexKey, hexNeighbour, angleToDirection } from './hexgrid.js';
+import { getTile } from './board.js';
+import { canStep, canClimb, stepTurns, fallDamage } from './movement.js';
+import { propRules } from './terrain.js';
+import {
+  BABY,
+  BURROW,
+  IN_PROGRESS,
+  getEntitiesAt,
+  getRabbit,
+  moveEntity,
+  rescueBaby,
+  rewardTurn,
+  reachBurrow,
+  catchRabbit,
+  hurtRabbit,
+  usePickup,
+} from './gamestate.js';
+import { getProfile, planPredatorMove } from './behaviours.js';
+import { createRules } from './rules.js';
+
+// the phases every turn goes through, in order
+export const PHASES = ["action", "pickups", "predators", "resolution", "outcome"];
+
+// creates a turn engine that plays the game in the given state. random is the
+// generator predators use for their decisions, and rules set how often each
+// predator moves, what it costs to be caught, and how animals get around hills.
+//
+// actions:
+//   { type: "rotate", delta }  turns the rabbit by delta degrees, which is free
+//   { type: "jump" }           jumps the rabbit forwards and plays out a turn,
+//                              or more than one if it climbs a long way up
+//   { type: "step", angle }    turns the rabbit to face angle, then jumps
+//
+// events, each passed an object with the details:
+//   phase          a turn entered a new phase
+//   rabbitTurned   the rabbit changed direction
+//   rabbitMoved    the rabbit jumped to a new tile
+//   blocked        the rabbit tried to jump somewhere it can't go, with
+//                  tooHigh set if the tile was too high to climb onto
+//   rabbitFell     the rabbit hurt itself dropping down from a height
+//   babyRescued    the rabbit picked up a baby
+//   pickupUsed     the rabbit used up the pickup on its tile, such as eating a
+//                  mushroom, with the prop and the health and score it gave
+//   predatorMoved  a predator moved to a new tile
+//   rabbitCaught   a predator caught the rabbit
+//   burrowReached  the rabbit made it to the burrow
+//   turnEnded      every phase of a turn has been resolved
+//   gameOver       the game was won or lost
+//   *              receives every event, with its name as event.type
+export function createTurnEngine(state, random, rules = createRules()) {
+  let listeners = new Map();
+
+  function emit(type, event = {}) {
+    event.type = type;
+    for (let listener of listeners.get(type) || []) listener(event);
+    for (let listener of listeners.get("*") || []) listener(event);
+  }
+
+  // player action phase. Returns where the rabbit started so collisions can
+  // detect predators jumping past it, and how many turns the action takes.
+  function actionPhase(action) {
+    let rabbit = getRabbit(state);
+    let from = { q: rabbit.q, r: rabbit.r };
+    if (action.type != "jump" && action.type != "step") return { from, turns: 1 };
+
+    let next = hexNeighbour(rabbit.q, rabbit.r, angleToDirection(rabbit.angle));
+    let fromTile = getTile(state.board, rabbit.q, rabbit.r);
+    let toTile = getTile(state.board, next.q, next.r);
+
+    // if the tile is out of bounds, has hard terrain or is too high, don't move.
+    if (toTile == undefined || !canStep(fromTile, toTile, rules)) {
+      let tooHigh = toTile != undefined && !canClimb(fromTile, toTile, rules);
+      emit("blocked", { entity: rabbit, q: next.q, r: next.r, tooHigh });
+      return { from, turns: 1 };
+    }
+
+    moveEntity(state, rabbit, next.q, next.r);
+    // reward surviving every fourth turn
+    if (state.turn % 4 == 0) rewardTurn(state);
+    emit("rabbitMoved", { entity: rabbit, from });
+
+    let damage = fallDamage(fromTile, toTile, rules);
+    if (damage > 0) {
+      hurtRabbit(state, damage);
+      emit("rabbitFell", { entity: rabbit, damage });
+    }
+    return { from, turns: stepTurns(fromTile, toTile, rules) };
+  }
+
+  // babies on the rabbit's tile are rescued, and any pickup on it is used up
+  function pickupsPhase() {
+    let rabbit = getRabbit(state);
+    for (let baby of getEntitiesAt(state, rabbit.q, rabbit.r, BABY)) {
+      rescueBaby(state, baby);
+      emit("babyRescued", { entity: baby });
+    }
+
+    let tile = getTile(state.board, rabbit.q, rabbit.r);
+    let key = hexKey(rabbit.q, rabbit.r);
+    let pickup = propRules(tile).pickup;
+    if (pickup != undefined && !state.usedPickups.includes(key)) {
+      usePickup(state, key, pickup);
+      emit("pickupUsed", { entity: rabbit, prop: tile.prop, health: pickup.health || 0, score: pickup.score || 0 });
+    }
+  }
+
+  // every predator whose profile says it moves this turn takes its move.
+  // Returns where each predator started.
+  function predatorsPhase() {
+    let starts = new Map();
+    for (let predator of state.entities) {
+      if (getProfile(predator.type) == undefined) continue;
+
+      let from = { q: predator.q, r: predator.r };
+      starts.set(predator.id, from);
+      if (state.turn % rules.predators[predator.type].cadence != 0) continue;
+
+      let move = planPredatorMove(state, predator, rules, random);
+      if (move == null) continue;
+
+      moveEntity(state, predator, move.q, move.r, move.angle);
+      emit("predatorMoved", { entity: predator, from });
+    }
+    return starts;
+  }
+
+  // predators sharing the rabbit's tile, or that swapped tiles with it, catch
+  // it, and the rabbit on the burrow makes it home
+  function resolutionPhase(rabbitStart, predatorStarts) {
+    let rabbit = getRabbit(state);
+    for (let predator of state.entities) {
+      if (getProfile(predator.type) == undefined) continue;
+
+      let { damage, penalty } = rules.predators[predator.type];
+      let start = predatorStarts.get(predator.id);
+      let sameTile = predator.q == rabbit.q && predator.r == rabbit.r;
+      let swapped = start.q == rabbit.q && start.r == rabbit.r &&
+                    predator.q == rabbitStart.q && predator.r == rabbitStart.r;
+
+      if (sameTile || swapped) {
+        catchRabbit(state, damage, penalty);
+        emit("rabbitCaught", { entity: predator, damage, penalty });
+      }
+    }
+
+    if (state.result == IN_PROGRESS && getEntitiesAt(state, rabbit.q, rabbit.r, BURROW).length > 0) {
+      reachBurrow(state);
+      emit("burrowReached", { entity: rabbit });
+    }
+  }
+
+  // plays out one turn, starting from the player's action. A climb that
+  // takes extra turns gives the predators a move for each of them.
+  function playTurn(action) {
+    emit("phase", { phase: "action" });
+    let { from: rabbitStart, turns } = actionPhase(action);
+
+    emit("phase", { phase: "pickups" });
+    pickupsPhase();
+
+    for (let i = 0; i < turns && state.result == IN_PROGRESS; i++) {
+      state.turn++;
+
+      emit("phase", { phase: "predators" });
+      let predatorStarts = predatorsPhase();
+
+      emit("phase", { phase: "resolution" });
+      resolutionPhase(rabbitStart, predatorStarts);
+
+      // the rabbit stays put for the rest of the climb
+      let rabbit = getRabbit(state);
+      rabbitStart = { q: rabbit.q, r: rabbit.r };
+    }
+
+    emit("phase", { phase: "outcome" });
+    emit("turnEnded", { turn: state.turn });
+    if (state.result != IN_PROGRESS) emit("gameOver", { result: state.result });
+  }
+
+  return {
+    state,
+
+    // subscribes to an event, returning a function that unsubscribes again
+    on(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, []);
+      listeners.get(type).push(listener);
+      return () => {
+        listeners.set(type, listeners.get(type).filter((other) => other != listener));
+      };
+    },
+
+    // performs a player action. Actions are ignored once the game is over.
+    act(action) {
+      if (state.result != IN_PROGRESS) return;
+
+      if (action.type == "rotate") {
+        let rabbit = getRabbit(state);
+        rabbit.angle = mod(rabbit.angle + action.delta, 360);
+        emit("rabbitTurned", { entity: rabbit });
+        return;
+      }
+
+      if (action.type == "step") {
+        let rabbit = getRabbit(state);
+        rabbit.angle = mod(action.angle, 360);
+        emit("rabbitTurned", { entity: rabbit });
+      }
+
+      playTurn(action);
+    },
+  };
+}
@@ -0,0 +1,57 @@
+// line of sight. Works out which tiles can be seen from a tile, using the
+// heights on the board and the props standing on it: trees and rocks block
+// sight, and so does any tile that rises above the line between the eyes of the
+// two animals looking at each other. The rabbit uses it to decide what the
+// player is shown, and predators use it to decide whether they have spotted the
+// rabbit.
+
+import { hexKey, hexDistance, hexLine, hexRange } from './hexgrid.js';
+import { getTile } from './board.js';
+
+// height of an animal's eyes above the tile it stands on, in world units
+const EYE_HEIGHT = 0.5;
+
+// returns whether a tile stops anything behind it from being seen
+function blocksSight(tile) {
+  // water tiles are blocked to movement, but only props block sight
+  return tile.blocked && !tile.water;
+}
+
+// returns whether an animal standing on one tile can see an animal standing on
+// another. The tiles at either end never block, so a tree can be seen even
+// though nothing behind it can. Both ends are looked at from eye height, so
+// the answer is the same whichever way round they are given.
+export function hasLineOfSight(board, from, to) {
+  let start = getTile(board, from.q, from.r);
+  let end = getTile(board, to.q, to.r);
+  if (start == undefined || end == undefined) return false;
+
+  let line = hexLine(from, to);
+  let startHeight = start.height + EYE_HEIGHT;
+  let endHeight = end.height + EYE_HEIGHT;
+
+  for (let i = 1; i < line.length - 1; i++) {
+    let tile = getTile(board, line[i].q, line[i].r);
+    if (tile == undefined) continue;
+    if (blocksSight(tile)) return false;
+
+    let sightHeight = startHeight + (endHeight - startHeight) * i / (line.length - 1);
+    if (tile.height > sightHeight) return false;
+  }
+  return true;
+}
+
+// returns the keys of every tile within radius of a tile that can be seen from it
+export function visibleTiles(board, from, radius) {
+  let visible = new Set();
+  for (let tile of hexRange(from, radius)) {
+    if (hasLineOfSight(board, from, tile)) visible.add(hexKey(tile.q, tile.r));
+  }
+  return visible;
+}
+
+// returns whether one animal can see another that is no more than radius
+// tiles away
+export function canSee(board, from, to, radius) {
+  return hexDistance(from, to) <= radius && hasLineOfSight(board, from, to);
+}
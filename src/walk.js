@@ -0,0 +1,46 @@
+// click-to-move. Walking to a tile takes the rabbit there one turn at a time,
+// with each step made of the same rotate and jump actions the keyboard uses, so
+// walks are undone, saved and replayed like any other input. Walks keep to the
+// movement rules in the given game rules, going around slopes too steep to climb.
+
+import { mod, directionBetween, directionToAngle } from './hexgrid.js';
+import { isPassable } from './board.js';
+import { findPath } from './pathfinding.js';
+import { movementOptions } from './movement.js';
+import { getRabbit } from './gamestate.js';
+
+// finds the tiles the rabbit would jump through to reach the goal, not
+// including the tile it is on. Returns null if the goal can't be reached.
+export function planWalk(state, goal, rules) {
+  if (!isPassable(state.board, goal.q, goal.r)) return null;
+
+  let rabbit = getRabbit(state);
+  let path = findPath(state.board, rabbit, goal, movementOptions(rules));
+  return path == null ? null : path.slice(1);
+}
+
+// returns the rotate actions that turn the rabbit from one angle to face
+// another, going whichever way round is shorter
+export function turnActions(from, to) {
+  let turn = mod(to - from, 360);
+
+  let actions = [];
+  if (turn <= 180) {
+    for (let i = 0; i < turn / 60; i++) actions.push({ type: "rotate", delta: 60 });
+  } else {
+    for (let i = 0; i < (360 - turn) / 60; i++) actions.push({ type: "rotate", delta: -60 });
+  }
+  return actions;
+}
+
+// returns the actions that turn the rabbit to face the next tile towards the
+// goal and jump onto it, or null if the rabbit is already there or can't get
+// there
+export function nextWalkActions(state, goal, rules) {
+  let path = planWalk(state, goal, rules);
+  if (path == null || path.length == 0) return null;
+
+  let rabbit = getRabbit(state);
+  let angle = directionToAngle(directionBetween(rabbit, path[0]));
+  return [...turnActions(rabbit.angle, angle), { type: "jump" }];
+}
@@ -0,0 +1,97 @@
+// tests for the board, which holds the tiles of the map, the props on them and
+// who is standing where
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createBoard,
+  addTile,
+  getTile,
+  hasTile,
+  setBlocked,
+  setProp,
+  clearProp,
+  isPassable,
+  addOccupant,
+  removeOccupant,
+  getOccupants,
+} from '../src/board.js';
+
+test("tiles are stored under their coordinates", () => {
+  let board = createBoard();
+  let tile = addTile(board, 2, -1, 1.5, "grass");
+
+  assert.equal(getTile(board, 2, -1), tile);
+  assert.equal(tile.height, 1.5);
+  assert.equal(tile.terrain, "grass");
+  assert.equal(tile.prop, null);
+  assert.deepEqual(tile.occupants, []);
+  assert.ok(hasTile(board, 2, -1));
+  assert.ok(!hasTile(board, 0, 0));
+  assert.equal(getTile(board, 0, 0), undefined);
+});
+
+test("water tiles start blocked", () => {
+  let board = createBoard();
+  addTile(board, 0, 0, 0, "sand", true);
+  addTile(board, 1, 0, 1, "grass");
+
+  assert.ok(!isPassable(board, 0, 0));
+  assert.ok(isPassable(board, 1, 0));
+  assert.ok(!isPassable(board, 5, 5));
+});
+
+test("blocking props block the tile until they are cleared", () => {
+  let board = createBoard();
+  addTile(board, 0, 0, 1, "grass");
+  addTile(board, 1, 0, 1, "grass");
+
+  setProp(board, 0, 0, "PP_Tree_02", true);
+  setProp(board, 1, 0, "PP_Daffodil_03", false);
+  assert.equal(getTile(board, 0, 0).prop, "PP_Tree_02");
+  assert.ok(!isPassable(board, 0, 0));
+  assert.ok(isPassable(board, 1, 0));
+
+  clearProp(board, 0, 0);
+  assert.equal(getTile(board, 0, 0).prop, null);
+  assert.ok(isPassable(board, 0, 0));
+});
+
+test("clearing a prop leaves water blocked", () => {
+  let board = createBoard();
+  addTile(board, 0, 0, 0, "sand", true);
+
+  setProp(board, 0, 0, "PP_Grass_11", false);
+  clearProp(board, 0, 0);
+  assert.ok(!isPassable(board, 0, 0));
+});
+
+test("tiles can be blocked and unblocked directly", () => {
+  let board = createBoard();
+  addTile(board, 0, 0, 1, "grass");
+
+  setBlocked(board, 0, 0, true);
+  assert.ok(!isPassable(board, 0, 0));
+  setBlocked(board, 0, 0, false);
+  assert.ok(isPassable(board, 0, 0));
+
+  // changes to tiles off the map are ignored
+  setBlocked(board, 3, 3, true);
+  setProp(board, 3, 3, "PP_Tree_02", true);
+  clearProp(board, 3, 3);
+  assert.ok(!hasTile(board, 3, 3));
+});
+
+test("occupants come and go", () => {
+  let board = createBoard();
+  addTile(board, 0, 0, 1, "grass");
+
+  addOccupant(board, 0, 0, 1);
+  addOccupant(board, 0, 0, 2);
+  assert.deepEqual(getOccupants(board, 0, 0), [1, 2]);
+
+  removeOccupant(board, 0, 0, 1);
+  assert.deepEqual(getOccupants(board, 0, 0), [2]);
+  assert.deepEqual(getOccupants(board, 4, 4), []);
+});
@@ -0,0 +1,133 @@
+// tests for the game state: rescuing babies, being caught, reaching the burrow
+// and how each of them changes the score
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createBoard, addTile, getOccupants } from '../src/board.js';
+import { hexRange } from '../src/hexgrid.js';
+import {
+  RABBIT,
+  BABY,
+  FOX,
+  IN_PROGRESS,
+  WON,
+  LOST,
+  createGameState,
+  addEntity,
+  removeEntity,
+  restoreEntity,
+  getEntities,
+  getEntitiesAt,
+  getRabbit,
+  moveEntity,
+  rescueBaby,
+  rewardTurn,
+  reachBurrow,
+  catchRabbit,
+  usePickup,
+} from '../src/gamestate.js';
+
+// returns a new game on a small flat map
+function createGame({ lives = 3, maxRewardedTurns = 10 } = {}) {
+  let board = createBoard();
+  for (let { q, r } of hexRange({ q: 0, r: 0 }, 3)) addTile(board, q, r, 1, "grass");
+  return createGameState(board, { lives, maxRewardedTurns });
+}
+
+test("entities are placed on the board and found again", () => {
+  let state = createGame();
+  let rabbit = addEntity(state, RABBIT, 0, 0, 60);
+  let fox = addEntity(state, FOX, 1, 0);
+
+  assert.equal(getRabbit(state), rabbit);
+  assert.equal(rabbit.angle, 60);
+  assert.notEqual(rabbit.id, fox.id);
+  assert.deepEqual(getEntities(state, FOX), [fox]);
+  assert.deepEqual(getEntitiesAt(state, 1, 0), [fox]);
+  assert.deepEqual(getEntitiesAt(state, 1, 0, RABBIT), []);
+
+  moveEntity(state, rabbit, 0, 1, 300);
+  assert.deepEqual(getOccupants(state.board, 0, 0), []);
+  assert.deepEqual(getEntitiesAt(state, 0, 1), [rabbit]);
+  assert.equal(rabbit.angle, 300);
+});
+
+test("removed entities are restored in their original place", () => {
+  let state = createGame();
+  let rabbit = addEntity(state, RABBIT, 0, 0);
+  let baby = addEntity(state, BABY, 1, 0);
+  let fox = addEntity(state, FOX, 2, 0);
+
+  removeEntity(state, baby);
+  assert.deepEqual(getEntitiesAt(state, 1, 0), []);
+
+  restoreEntity(state, baby);
+  assert.deepEqual(state.entities, [rabbit, baby, fox]);
+  assert.deepEqual(getEntitiesAt(state, 1, 0), [baby]);
+});
+
+test("rescuing a baby removes it and scores 10 points", () => {
+  let state = createGame();
+  let baby = addEntity(state, BABY, 1, 0);
+  addEntity(state, BABY, 2, 0);
+  assert.equal(state.babiesLeft, 2);
+
+  rescueBaby(state, baby);
+  assert.equal(state.babiesLeft, 1);
+  assert.equal(state.score, 10);
+  assert.deepEqual(getEntitiesAt(state, 1, 0), []);
+  assert.equal(state.result, IN_PROGRESS);
+});
+
+test("turns score a point until the rewarded turns run out", () => {
+  let state = createGame({ maxRewardedTurns: 2 });
+  for (let turn = 0; turn < 4; turn++) {
+    state.turn = turn;
+    rewardTurn(state);
+  }
+  assert.equal(state.score, 2);
+});
+
+test("reaching the burrow wins and rewards unused turns twice over", () => {
+  let state = createGame({ maxRewardedTurns: 10 });
+  state.turn = 4;
+  reachBurrow(state);
+  assert.equal(state.result, WON);
+  assert.equal(state.score, 12);
+
+  let late = createGame({ maxRewardedTurns: 10 });
+  late.turn = 12;
+  reachBurrow(late);
+  assert.equal(late.result, WON);
+  assert.equal(late.score, 0);
+});
+
+test("being caught costs health and points and loses when health runs out", () => {
+  let state = createGame({ lives: 2 });
+  catchRabbit(state, 1, 5);
+  assert.equal(state.lives, 1);
+  assert.equal(state.score, -5);
+  assert.equal(state.result, IN_PROGRESS);
+
+  catchRabbit(state, 1, 5);
+  assert.equal(state.lives, 0);
+  assert.equal(state.score, -10);
+  assert.equal(state.result, LOST);
+});
+
+test("pickups heal up to the starting health and are used up", () => {
+  let state = createGame({ lives: 3 });
+  catchRabbit(state, 2, 0);
+
+  let before = state.usedPickups;
+  usePickup(state, "1,0", { health: 5, score: 3 });
+  assert.equal(state.lives, 3);
+  assert.equal(state.score, 3);
+  assert.deepEqual(state.usedPickups, ["1,0"]);
+  assert.notEqual(state.usedPickups, before);
+
+  usePickup(state, "2,0", { health: -3 });
+  assert.equal(state.lives, 0);
+  assert.equal(state.result, LOST);
+});
@@ -0,0 +1,79 @@
+// tests for level generation: every generated map has to be playable, with the
+// burrow, babies and predators placed on ground the rabbit can reach
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SimplexNoise from 'simplex-noise';
+
+import { createBoard, addTile } from '../src/board.js';
+import { hexKey, hexDistance, hexRange } from '../src/hexgrid.js';
+import { generateLandscape } from '../src/landscape.js';
+import { decorateBoard, findReachable, generateLevel } from '../src/generator.js';
+import { createRandom, createRandomStreams } from '../src/random.js';
+import { PRESETS, createRules } from '../src/rules.js';
+
+// noise from the same library the game uses
+function createNoise(random) {
+  let simplex = new SimplexNoise(random);
+  return (x, y) => simplex.noise2D(x, y);
+}
+
+// lays out a map and places everything on it the way buildScene in index.js
+// does for generated maps
+function generateMap(seed, rules) {
+  let rng = createRandomStreams(seed);
+  let board = createBoard();
+  let landscape = {
+    radius: Math.floor(0.8 * rules.mapRadius),
+    maxHeight: rules.maxHeight,
+    waterHeight: rules.waterHeight,
+    ...rules.landscape,
+  };
+  generateLandscape(board, createNoise, rng.terrain, landscape);
+  decorateBoard(board, rng.decorations);
+
+  let placements = generateLevel(board, rng.spawns, {
+    spawn: { q: 0, r: 0 },
+    placementRadius: Math.floor(landscape.radius / 2),
+    babies: rules.babies,
+    maxClimb: rules.maxClimb,
+    predators: Object.entries(rules.predators).map(([type, predator]) => {
+      return { type, count: predator.count };
+    }),
+  });
+  return { board, placements };
+}
+
+for (let preset of Object.keys(PRESETS)) {
+  test("every " + preset + " map can be completed", () => {
+    let rules = createRules(preset);
+    for (let i = 0; i < 60; i++) {
+      let { board, placements } = generateMap("s" + i, rules);
+      let { spawn, burrow, babies, predators } = placements;
+      let reachable = findReachable(board, spawn, rules.maxClimb);
+
+      assert.ok(reachable.has(hexKey(burrow.q, burrow.r)), "burrow on seed s" + i);
+      assert.equal(babies.length, rules.babies);
+      for (let baby of babies) assert.ok(reachable.has(hexKey(baby.q, baby.r)), "baby on seed s" + i);
+      for (let predator of predators) assert.ok(hexDistance(predator, spawn) >= 8, "predator on seed s" + i);
+    }
+  });
+}
+
+test("the spawn moves off ground too small to hold the level", () => {
+  // a small island in the middle, cut off by water from the land around it
+  let board = createBoard();
+  for (let { q, r } of hexRange({ q: 0, r: 0 }, 14)) {
+    let distance = hexDistance({ q, r }, { q: 0, r: 0 });
+    addTile(board, q, r, 1, "grass", distance == 2);
+  }
+
+  let { spawn, predators } = generateLevel(board, createRandom("island"), {
+    spawn: { q: 0, r: 0 },
+    placementRadius: 6,
+    babies: 3,
+    predators: [{ type: "fox", count: 2 }],
+  });
+  assert.equal(hexDistance(spawn, { q: 0, r: 0 }), 3);
+  for (let predator of predators) assert.ok(hexDistance(predator, spawn) >= 8);
+});
@@ -0,0 +1,138 @@
+// tests for the hex grid helpers, which every other module uses for directions,
+// distances and converting between tiles and world positions
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DIRECTIONS,
+  hexKey,
+  parseHexKey,
+  angleToDirection,
+  directionToAngle,
+  hexNeighbour,
+  hexNeighbours,
+  directionBetween,
+  hexDistance,
+  hexLine,
+  hexRing,
+  hexSpiral,
+  hexRange,
+  hexToWorld,
+  worldToHex,
+  offsetToAxial,
+  axialToOffset,
+} from '../src/hexgrid.js';
+
+const ORIGIN = { q: 0, r: 0 };
+
+// returns the keys of a list of tiles, for comparing lists as sets
+function keys(tiles) {
+  return tiles.map((tile) => hexKey(tile.q, tile.r)).sort();
+}
+
+test("keys round trip through parseHexKey", () => {
+  assert.deepEqual(parseHexKey(hexKey(-3, 7)), { q: -3, r: 7 });
+});
+
+test("angles and directions convert both ways", () => {
+  for (let direction = 0; direction < 6; direction++) {
+    assert.equal(angleToDirection(directionToAngle(direction)), direction);
+  }
+  assert.equal(angleToDirection(-60), 5);
+  assert.equal(angleToDirection(360), 0);
+  assert.equal(directionToAngle(7), 60);
+});
+
+test("each direction faces its angle in the world", () => {
+  for (let direction = 0; direction < 6; direction++) {
+    let offset = DIRECTIONS[direction];
+    let world = hexToWorld(offset.q, offset.r);
+    // angles go counterclockwise looking down, which is towards -z
+    let angle = Math.atan2(-world.z, world.x) * 180 / Math.PI;
+    let difference = ((angle - direction * 60) % 360 + 360) % 360;
+    assert.ok(Math.min(difference, 360 - difference) < 1, "direction " + direction);
+  }
+});
+
+test("neighbours are one step away in direction order", () => {
+  let neighbours = hexNeighbours(2, -1);
+  assert.equal(neighbours.length, 6);
+  neighbours.forEach((tile, direction) => {
+    assert.equal(tile.direction, direction);
+    assert.equal(tile.angle, direction * 60);
+    assert.equal(hexDistance(tile, { q: 2, r: -1 }), 1);
+    assert.deepEqual(hexNeighbour(2, -1, direction), { q: tile.q, r: tile.r });
+    assert.equal(directionBetween({ q: 2, r: -1 }, tile), direction);
+  });
+  assert.deepEqual(hexNeighbour(0, 0, -1), hexNeighbour(0, 0, 5));
+  assert.equal(directionBetween(ORIGIN, { q: 2, r: 0 }), -1);
+});
+
+test("distance counts steps in every direction", () => {
+  assert.equal(hexDistance(ORIGIN, ORIGIN), 0);
+  assert.equal(hexDistance(ORIGIN, { q: 3, r: 0 }), 3);
+  assert.equal(hexDistance(ORIGIN, { q: 3, r: -3 }), 3);
+  assert.equal(hexDistance(ORIGIN, { q: 2, r: 2 }), 4);
+  assert.equal(hexDistance({ q: -1, r: 4 }, { q: 2, r: 1 }), 3);
+});
+
+test("lines join their ends with one tile per step", () => {
+  let a = { q: -2, r: 3 };
+  let b = { q: 3, r: -1 };
+  let line = hexLine(a, b);
+
+  assert.equal(line.length, hexDistance(a, b) + 1);
+  assert.deepEqual(line[0], a);
+  assert.deepEqual(line[line.length - 1], b);
+  for (let i = 1; i < line.length; i++) assert.equal(hexDistance(line[i - 1], line[i]), 1);
+
+  assert.deepEqual(hexLine(a, a), [a]);
+});
+
+test("rings hold every tile at exactly the radius", () => {
+  assert.deepEqual(hexRing(ORIGIN, 0), [ORIGIN]);
+
+  let ring = hexRing({ q: 1, r: 1 }, 3);
+  assert.equal(ring.length, 18);
+  assert.equal(new Set(keys(ring)).size, 18);
+  for (let tile of ring) assert.equal(hexDistance(tile, { q: 1, r: 1 }), 3);
+
+  // each tile follows on from the last
+  for (let i = 1; i < ring.length; i++) assert.equal(hexDistance(ring[i - 1], ring[i]), 1);
+});
+
+test("spirals go outwards ring by ring", () => {
+  let spiral = hexSpiral(ORIGIN, 3);
+  assert.equal(spiral.length, 37);
+  assert.deepEqual(spiral[0], ORIGIN);
+  for (let i = 1; i < spiral.length; i++) {
+    assert.ok(hexDistance(spiral[i - 1], ORIGIN) <= hexDistance(spiral[i], ORIGIN));
+  }
+});
+
+test("ranges hold the same tiles as spirals", () => {
+  let center = { q: -2, r: 5 };
+  let range = hexRange(center, 4);
+  assert.equal(range.length, 61);
+  assert.deepEqual(keys(range), keys(hexSpiral(center, 4)));
+  for (let tile of range) assert.ok(hexDistance(tile, center) <= 4);
+});
+
+test("tiles round trip through world positions", () => {
+  for (let tile of hexRange(ORIGIN, 6)) {
+    let world = hexToWorld(tile.q, tile.r);
+    assert.deepEqual(worldToHex(world.x, world.z), tile);
+
+    // points near the centre of a tile still land in it
+    assert.deepEqual(worldToHex(world.x + 0.3, world.z - 0.3), tile);
+  }
+  assert.deepEqual(hexToWorld(0, 0), { x: 0, z: 0 });
+});
+
+test("offset coordinates round trip through axial ones", () => {
+  for (let tile of hexRange(ORIGIN, 5)) {
+    let offset = axialToOffset(tile.q, tile.r);
+    assert.deepEqual(offsetToAxial(offset.x, offset.y), tile);
+  }
+});
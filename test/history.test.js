@@ -0,0 +1,164 @@
+// tests for the turn history: undoing actions, and replays that play a game
+// back to exactly the same end
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createBoard, addTile } from '../src/board.js';
+import { hexRange } from '../src/hexgrid.js';
+import { createRandom } from '../src/random.js';
+import { createRules } from '../src/rules.js';
+import { createTurnEngine } from '../src/turns.js';
+import {
+  createHistory,
+  encodeAction,
+  decodeAction,
+  exportReplay,
+  parseReplay,
+} from '../src/history.js';
+import {
+  RABBIT,
+  BABY,
+  FOX,
+  BEAR,
+  BURROW,
+  createGameState,
+  addEntity,
+  getEntities,
+  getRabbit,
+} from '../src/gamestate.js';
+
+// points lost for undoing a turn, as in index.js
+const UNDO_PENALTY = 2;
+
+// returns a new game on a small flat map, with its turn engine and history
+function createGame(rules = createRules()) {
+  let board = createBoard();
+  for (let { q, r } of hexRange({ q: 0, r: 0 }, 6)) addTile(board, q, r, 1, "grass");
+  let state = createGameState(board, { lives: rules.lives, maxRewardedTurns: 10 });
+  let random = createRandom("history/predators");
+  let engine = createTurnEngine(state, random, rules);
+  return { state, random, history: createHistory(engine, random) };
+}
+
+// puts the rabbit, burrow, babies and predators in their starting places
+function populate(state) {
+  addEntity(state, RABBIT, 0, 0);
+  addEntity(state, BURROW, -5, 5, 60);
+  addEntity(state, BABY, 1, 0);
+  addEntity(state, BABY, 2, 0);
+  addEntity(state, BABY, 3, -1);
+  // foxes start out of sight, so they wander off in random directions
+  addEntity(state, FOX, -6, 6);
+  addEntity(state, FOX, -6, 1);
+  addEntity(state, BEAR, -5, 0);
+}
+
+// returns everything about a game that playing it could change
+function snapshot({ state, random }) {
+  let { lives, score, turn, babiesLeft, result, usedPickups, entities } = state;
+  return structuredClone({ lives, score, turn, babiesLeft, result, usedPickups, entities, random: random.getState() });
+}
+
+// returns a step in one of the six directions
+function step(direction) {
+  return { type: "step", angle: direction * 60 };
+}
+
+test("undoing turns keeps the penalties of earlier undos", () => {
+  let game = createGame(createRules("hard"));
+  addEntity(game.state, RABBIT, 0, 0);
+  addEntity(game.state, BABY, 2, 0);
+
+  let scores = [game.state.score];
+  for (let i = 0; i < 5; i++) {
+    game.history.act(step(0));
+    scores.push(game.state.score);
+  }
+  assert.equal(scores[5], 12);
+
+  for (let undone = 1; undone <= 3; undone++) {
+    assert.ok(game.history.undo(UNDO_PENALTY));
+    assert.equal(game.state.score, scores[5 - undone] - undone * UNDO_PENALTY);
+  }
+});
+
+test("undoing a turn puts every entity and the predators' random state back", () => {
+  let game = createGame();
+  populate(game.state);
+  game.history.act(step(0));
+  let before = snapshot(game);
+
+  game.history.act(step(0));
+  assert.equal(getEntities(game.state, BABY).length, 1);
+  assert.notEqual(game.random.getState(), before.random);
+
+  assert.ok(game.history.undo());
+  assert.deepEqual(snapshot(game), before);
+});
+
+test("turning can be undone for free", () => {
+  let game = createGame();
+  populate(game.state);
+  assert.ok(!game.history.canUndo());
+
+  game.history.act({ type: "rotate", delta: 60 });
+  assert.equal(getRabbit(game.state).angle, 60);
+  assert.ok(game.history.undo(UNDO_PENALTY));
+  assert.equal(getRabbit(game.state).angle, 0);
+  assert.equal(game.state.score, 0);
+  assert.ok(!game.history.undo(UNDO_PENALTY));
+});
+
+test("actions that change nothing aren't recorded", () => {
+  let game = createGame();
+  populate(game.state);
+  game.history.act({ type: "rotate", delta: 0 });
+  assert.deepEqual(game.history.actions(), []);
+});
+
+test("actions round trip through their replay codes", () => {
+  let actions = [
+    { type: "jump" },
+    { type: "rotate", delta: 60 },
+    { type: "rotate", delta: -60 },
+    { type: "undo" },
+    ...[0, 1, 2, 3, 4, 5].map(step),
+  ];
+  for (let action of actions) assert.deepEqual(decodeAction(encodeAction(action)), action);
+});
+
+test("replays play back to the same end, undos included", () => {
+  let rules = createRules();
+  let original = createGame(rules);
+  populate(original.state);
+
+  for (let action of [step(0), step(0), step(5), { type: "rotate", delta: 60 }, { type: "jump" }]) {
+    original.history.act(action);
+  }
+  original.history.undo(UNDO_PENALTY);
+  original.history.undo(UNDO_PENALTY);
+  for (let action of [step(1), step(1), step(2), step(3)]) original.history.act(action);
+
+  let replay = parseReplay(exportReplay("seed", original.history.actions(), rules));
+  assert.equal(replay.seed, "seed");
+  assert.deepEqual(replay.rules, rules);
+  assert.equal(replay.level, null);
+  assert.equal(replay.actions.filter((action) => action.type == "undo").length, 2);
+
+  let copy = createGame(replay.rules);
+  populate(copy.state);
+  for (let action of replay.actions) copy.history.play(action, UNDO_PENALTY);
+
+  assert.deepEqual(snapshot(copy), snapshot(original));
+  assert.deepEqual(copy.history.actions(), original.history.actions());
+});
+
+test("files that aren't replays are rejected", () => {
+  let replay = JSON.parse(exportReplay("seed", [step(0)], createRules()));
+
+  assert.throws(() => parseReplay("{"), /not valid JSON/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, rules: null })), /File is not a replay/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, rules: undefined })), /File is not a replay/);
+  assert.throws(() => parseReplay(JSON.stringify({ ...replay, version: 0 })), /different version/);
+});
@@ -0,0 +1,143 @@
+// tests for saving games into slots and resuming them exactly where they were
+// left off
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createBoard, addTile, getOccupants } from '../src/board.js';
+import { hexRange } from '../src/hexgrid.js';
+import { createRandom } from '../src/random.js';
+import { createRules } from '../src/rules.js';
+import { createTurnEngine } from '../src/turns.js';
+import { createHistory } from '../src/history.js';
+import { RABBIT, BABY, FOX, BEAR, BURROW, createGameState, addEntity } from '../src/gamestate.js';
+import {
+  SAVE_VERSION,
+  SAVE_SLOTS,
+  serializeGame,
+  writeSave,
+  readSave,
+  deleteSave,
+  listSaves,
+  applySave,
+  savedRules,
+  savedLevel,
+  savedActions,
+} from '../src/saves.js';
+
+// returns storage kept in memory, in place of local storage
+function createStorage() {
+  let items = new Map();
+  return {
+    getItem: (key) => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+// returns a new game on a small flat map, with its turn engine and history.
+// previousActions are the actions taken before the game was saved, if it is
+// being resumed.
+function createGame(rules, previousActions = []) {
+  let board = createBoard();
+  for (let { q, r } of hexRange({ q: 0, r: 0 }, 6)) addTile(board, q, r, 1, "grass");
+  let state = createGameState(board, { lives: rules.lives, maxRewardedTurns: 10 });
+  let random = createRandom("saves/predators");
+  let engine = createTurnEngine(state, random, rules);
+  return { state, random, history: createHistory(engine, random, previousActions) };
+}
+
+// puts the rabbit, burrow, babies and predators in their starting places
+function populate(state) {
+  addEntity(state, RABBIT, 0, 0);
+  addEntity(state, BURROW, -5, 5, 60);
+  addEntity(state, BABY, 1, 0);
+  addEntity(state, BABY, 1, -1);
+  addEntity(state, FOX, -6, 6);
+  addEntity(state, FOX, -6, 1);
+  addEntity(state, BEAR, 4, -6);
+}
+
+// returns everything about a game that playing it could change
+function snapshot({ state, random }) {
+  let { lives, score, turn, babiesLeft, result, usedPickups, entities, nextEntityId } = state;
+  return structuredClone({
+    lives, score, turn, babiesLeft, result, usedPickups, entities, nextEntityId, random: random.getState(),
+  });
+}
+
+// returns a step in one of the six directions
+function step(direction) {
+  return { type: "step", angle: direction * 60 };
+}
+
+test("a resumed game carries on exactly as the saved one would have", () => {
+  let rules = createRules("easy");
+  let storage = createStorage();
+  let original = createGame(rules);
+  populate(original.state);
+
+  for (let action of [step(0), step(1), step(2)]) original.history.act(action);
+  original.history.undo(2);
+  original.history.act(step(3));
+  writeSave(2, serializeGame("seed", original.state, original.random, original.history.actions(), rules), storage);
+
+  let save = readSave(2, storage);
+  assert.equal(save.seed, "seed");
+  assert.deepEqual(savedRules(save), rules);
+  assert.equal(savedLevel(save), null);
+  assert.deepEqual(savedActions(save), original.history.actions());
+
+  let resumed = createGame(savedRules(save), savedActions(save));
+  applySave(resumed.state, save, resumed.random);
+  assert.deepEqual(snapshot(resumed), snapshot(original));
+  for (let entity of resumed.state.entities) {
+    assert.ok(getOccupants(resumed.state.board, entity.q, entity.r).includes(entity.id));
+  }
+
+  // actions taken before the save can't be undone after resuming
+  assert.ok(!resumed.history.canUndo());
+
+  for (let action of [step(3), step(4), step(4), { type: "jump" }]) {
+    original.history.act(action);
+    resumed.history.act(action);
+  }
+  assert.deepEqual(snapshot(resumed), snapshot(original));
+  assert.deepEqual(resumed.history.actions(), original.history.actions());
+});
+
+test("slots can be emptied and are listed with any errors", () => {
+  let rules = createRules();
+  let storage = createStorage();
+  let game = createGame(rules);
+  populate(game.state);
+
+  writeSave(1, serializeGame("seed", game.state, game.random, [], rules), storage);
+  storage.setItem("rabbitRescue.save.3", "{");
+
+  let slots = listSaves(storage);
+  assert.equal(slots.length, SAVE_SLOTS);
+  assert.equal(slots[0].save.version, SAVE_VERSION);
+  assert.deepEqual(slots[1], { slot: 2, save: null });
+  assert.equal(slots[2].error, "Save is damaged");
+
+  deleteSave(1, storage);
+  assert.equal(readSave(1, storage), null);
+});
+
+test("saves from other versions or without rules aren't loaded", () => {
+  let rules = createRules();
+  let storage = createStorage();
+  let game = createGame(rules);
+  populate(game.state);
+  let save = serializeGame("seed", game.state, game.random, [], rules);
+
+  writeSave(1, { ...save, version: SAVE_VERSION - 1 }, storage);
+  assert.throws(() => readSave(1, storage), /different version/);
+
+  writeSave(1, { ...save, rules: null }, storage);
+  assert.throws(() => readSave(1, storage), /Save is damaged/);
+
+  writeSave(1, { ...save, rules: undefined }, storage);
+  assert.throws(() => readSave(1, storage), /Save is damaged/);
+});
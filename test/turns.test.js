@@ -0,0 +1,177 @@
+// tests for the turn engine: the order phases are played in, predators
+// catching the rabbit, and climbs that take more than one turn
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createBoard, addTile, getTile } from '../src/board.js';
+import { hexRange } from '../src/hexgrid.js';
+import { createRandom } from '../src/random.js';
+import { createRules } from '../src/rules.js';
+import { PHASES, createTurnEngine } from '../src/turns.js';
+import {
+  RABBIT,
+  FOX,
+  BEAR,
+  BURROW,
+  IN_PROGRESS,
+  WON,
+  createGameState,
+  addEntity,
+} from '../src/gamestate.js';
+
+// returns a turn engine for a new game on a small flat map under the normal
+// rules with the given overrides
+function createGame(overrides = {}) {
+  let rules = createRules("normal", overrides);
+  let board = createBoard();
+  for (let { q, r } of hexRange({ q: 0, r: 0 }, 6)) addTile(board, q, r, 1, "grass");
+  let state = createGameState(board, { lives: rules.lives, maxRewardedTurns: 10 });
+  return createTurnEngine(state, createRandom("turns"), rules);
+}
+
+// rules where predators never get a move in the first few turns
+const STILL = { predators: { [FOX]: { cadence: 10 }, [BEAR]: { cadence: 10 } } };
+
+// rules where predators move every turn
+const RESTLESS = { predators: { [FOX]: { cadence: 1 }, [BEAR]: { cadence: 1 } } };
+
+// adds a bear that heads for home, a tile far away, every time it moves
+function addHomingBear(state, q, r, home) {
+  let bear = addEntity(state, BEAR, q, r);
+  bear.home = home;
+  bear.behaviour = { territoryRadius: 0 };
+  return bear;
+}
+
+test("every turn goes through the phases in order", () => {
+  let engine = createGame(STILL);
+  addEntity(engine.state, RABBIT, 0, 0);
+
+  let phases = [];
+  let events = [];
+  engine.on("phase", (event) => phases.push(event.phase));
+  engine.on("*", (event) => events.push(event.type));
+  engine.act({ type: "jump" });
+
+  assert.deepEqual(phases, PHASES);
+  assert.deepEqual(events.filter((type) => type != "phase").slice(-1), ["turnEnded"]);
+  assert.equal(engine.state.turn, 1);
+});
+
+test("turning is free and plays no turn", () => {
+  let engine = createGame(STILL);
+  let rabbit = addEntity(engine.state, RABBIT, 0, 0);
+
+  let phases = [];
+  engine.on("phase", (event) => phases.push(event.phase));
+  engine.act({ type: "rotate", delta: -60 });
+
+  assert.equal(rabbit.angle, 300);
+  assert.deepEqual(phases, []);
+  assert.equal(engine.state.turn, 0);
+});
+
+test("jumping onto a predator gets the rabbit caught", () => {
+  let engine = createGame(STILL);
+  let { state } = engine;
+  let rabbit = addEntity(state, RABBIT, 0, 0);
+  addEntity(state, FOX, 1, 0);
+
+  let caught = [];
+  engine.on("rabbitCaught", (event) => caught.push(event));
+  engine.act({ type: "jump" });
+
+  let { damage, penalty } = createRules("normal").predators[FOX];
+  assert.deepEqual({ q: rabbit.q, r: rabbit.r }, { q: 1, r: 0 });
+  assert.equal(caught.length, 1);
+  assert.equal(state.lives, createRules("normal").lives - damage);
+  // the first hop also scores a point for surviving
+  assert.equal(state.score, 1 - penalty);
+});
+
+test("a predator that swaps tiles with the rabbit catches it", () => {
+  let engine = createGame(RESTLESS);
+  let { state } = engine;
+  let rabbit = addEntity(state, RABBIT, 0, 0);
+  // the bear's home is straight past the rabbit, so it hops onto the tile
+  // the rabbit has just left
+  let bear = addHomingBear(state, 1, 0, { q: -5, r: 0 });
+
+  let caught = [];
+  engine.on("rabbitCaught", (event) => caught.push(event.entity));
+  engine.act({ type: "jump" });
+
+  assert.deepEqual({ q: rabbit.q, r: rabbit.r }, { q: 1, r: 0 });
+  assert.deepEqual({ q: bear.q, r: bear.r }, { q: 0, r: 0 });
+  assert.deepEqual(caught, [bear]);
+});
+
+test("predators passing nowhere near the rabbit don't catch it", () => {
+  let engine = createGame(RESTLESS);
+  let { state } = engine;
+  addEntity(state, RABBIT, 0, 0);
+  let bear = addHomingBear(state, 0, 3, { q: -5, r: 3 });
+
+  let caught = 0;
+  engine.on("rabbitCaught", () => caught++);
+  engine.act({ type: "jump" });
+
+  assert.deepEqual({ q: bear.q, r: bear.r }, { q: -1, r: 3 });
+  assert.equal(caught, 0);
+});
+
+test("climbing a steep hop takes several turns with a predator move in each", () => {
+  let engine = createGame(RESTLESS);
+  let { state } = engine;
+  let rules = createRules("normal");
+  // high enough to take an extra turn, but not too high to climb
+  getTile(state.board, 1, 0).height = 1 + rules.climbPerTurn;
+  let rabbit = addEntity(state, RABBIT, 0, 0);
+  let bear = addHomingBear(state, 0, 3, { q: -5, r: 3 });
+
+  let predatorPhases = 0;
+  engine.on("phase", (event) => {
+    if (event.phase == "predators") predatorPhases++;
+  });
+  engine.act({ type: "jump" });
+
+  assert.deepEqual({ q: rabbit.q, r: rabbit.r }, { q: 1, r: 0 });
+  assert.equal(state.turn, 2);
+  assert.equal(predatorPhases, 2);
+  assert.deepEqual({ q: bear.q, r: bear.r }, { q: -2, r: 3 });
+});
+
+test("tiles too high to climb block the rabbit but still play a turn", () => {
+  let engine = createGame(STILL);
+  let { state } = engine;
+  getTile(state.board, 1, 0).height = 1 + createRules("normal").maxClimb + 1;
+  let rabbit = addEntity(state, RABBIT, 0, 0);
+
+  let blocked = [];
+  engine.on("blocked", (event) => blocked.push(event));
+  engine.act({ type: "jump" });
+
+  assert.deepEqual({ q: rabbit.q, r: rabbit.r }, { q: 0, r: 0 });
+  assert.equal(blocked.length, 1);
+  assert.ok(blocked[0].tooHigh);
+  assert.equal(state.turn, 1);
+});
+
+test("reaching the burrow wins and ignores any later actions", () => {
+  let engine = createGame(STILL);
+  let { state } = engine;
+  let rabbit = addEntity(state, RABBIT, 0, 0);
+  addEntity(state, BURROW, 0, 1);
+
+  let over = [];
+  engine.on("gameOver", (event) => over.push(event.result));
+  engine.act({ type: "step", angle: 300 });
+  assert.equal(state.result, WON);
+  assert.deepEqual(over, [WON]);
+
+  engine.act({ type: "jump" });
+  assert.deepEqual({ q: rabbit.q, r: rabbit.r }, { q: 0, r: 1 });
+  assert.equal(state.turn, 1);
+  assert.notEqual(state.result, IN_PROGRESS);
+});